@@ -1,138 +1,904 @@
-const { Blockchain } = require("./src/blockchain");
+const { StarValidationError, validateStar } = require("./src/star");
+const { ROLE, apiKeyOf } = require("./src/auth");
+const { BlockchainError, ValidationError, NotFoundError, RateLimitError, UnavailableError, CorruptChainError, toErrorResponse } = require("./src/errors");
+const { logger } = require("./src/logger");
+const { validate, coerce } = require("./src/schema");
+const { buildOpenApi } = require("./src/openapi");
+const crypto = require("crypto");
+const busboy = require("busboy");
+
+// How long (ms) the status of a finished async submission is kept
+const JOB_RETENTION = 10 * 60 * 1000;
+
+// Interval (ms) between two keep-alive comments on the `/events` stream
+const HEARTBEAT_INTERVAL = 25 * 1000;
+
+// Largest page returned by `/blocks` and `/stars/search`
+const MAX_PAGE_SIZE = 100;
+
+// Schemas shared by several routes
+const HEIGHT = { type: "integer", minimum: 0 };
+const DIGEST = { type: "string", pattern: "^[0-9a-fA-F]{64}$" };
+const URL_BODY = { type: "object", required: ["url"], properties: { url: { type: "string", format: "uri" } } };
 
 /**
  *          BlockchainController
- * 
- * This class expose the endpoints that the client applications will use to interact with the 
- * Blockchain dataset
+ *
+ * This class expose the endpoints that the client applications will use to interact with the
+ * Blockchain dataset.
+ * Every endpoint is registered with `route()` from a definition (role, schemas of the request, responses)
+ * used to authorize and validate the requests and to generate the OpenAPI document served at `/docs`.
+ * The errors are answered by `handleErrors()` with their HTTP status and a `{ code, message, details }` body.
  */
 class BlockchainController {
 
-    //The constructor receive the instance of the express.js app and the Blockchain class
-    constructor(app, blockchainObj) {
+    //The constructor receive the instance of the express.js app, the Blockchain class and optionally the PeerNetwork, the EventHub,
+    //the AccessControl (without it every route is open and the admin routes aren't registered), the rate limiters `{ ip, address }`
+    //and the NodeMetrics served at `/metrics`
+    constructor(app, blockchainObj, networkObj, eventsObj, accessObj, limitsObj, metricsObj) {
         this.app = app;
         this.blockchain = blockchainObj;
+        this.network = networkObj;
+        this.events = eventsObj;
+        this.access = accessObj;
+        this.limits = limitsObj || {};
+        this.metrics = metricsObj;
+        // Submissions made with `?async=true`, by job id
+        this.jobs = new Map();
+        // Definitions of the registered routes, used by `/docs`
+        this.routes = [];
         // All the endpoints methods needs to be called in the constructor to initialize the route.
         this.getBlockByHeight();
         this.requestOwnership();
         this.submitStar();
+        this.getSubmissionStatus();
+        this.getMiningStatus();
         this.getBlockByHash();
         this.getStarsByOwner();
+        this.transferStar();
+        this.getStar();
+        this.searchStars();
+        this.revealStar();
+        this.notarizeDocument();
+        this.verifyDocument();
+        this.listBlocks();
+        this.getChainStats();
+        this.getChainSince();
+        this.getForks();
+        if (this.network) {
+            this.addPeer();
+            this.getPeers();
+            this.receiveBlock();
+        }
+        if (this.events) {
+            this.streamEvents();
+        }
+        this.getStarHistory();
+        this.getStarProof();
         this.validateBlockChain();
+        if (this.access) {
+            this.getSnapshot();
+            this.maintenance();
+            this.manageKeys();
+            if (this.network) {
+                this.managePeers();
+            }
+        }
+        this.getDocs();
+        this.health();
+        if (this.metrics) {
+            this.getMetrics();
+        }
+        // Registered after all the routes
+        this.handleErrors();
     }
 
-    // Enpoint to Get a Block by Height (GET Endpoint)
-    getBlockByHeight() {
-        this.app.get("/block/height/:height", async (req, res) => {
-            if (req.params.height) {
-                const height = parseInt(req.params.height);
-                let block = await this.blockchain.getBlockByHeight(height);
-                if (block) {
-                    return res.status(200).json(block);
-                } else {
-                    return res.status(404).send("Block Not Found!");
+    /**
+     * Register an endpoint. `definition` is `{ method, path, role, rateLimited, multipart, summary, params, query, body, responses }`:
+     * the role needed (none for a public route), whether the route is rate limited, whether the body is a `multipart/form-data`
+     * form with a file (see `multipart()`), the schemas of the path parameters, of the query parameters and of the body
+     * (see `./src/schema.js`) and the description of each response status.
+     * The errors thrown by `handler` are answered by `handleErrors()`.
+     * @param {*} definition
+     * @param {*} handler
+     */
+    route(definition, handler) {
+        this.routes.push(definition);
+        let middlewares = [];
+        if (definition.role) {
+            middlewares.push(this.authorize(definition.role));
+        }
+        if (definition.multipart) {
+            middlewares.push(this.multipart());
+        }
+        if (definition.rateLimited) {
+            middlewares.push(this.rateLimit());
+        }
+        middlewares.push(this.validateRequest(definition));
+        this.app[definition.method](definition.path, ...middlewares, (req, res, next) => {
+            Promise.resolve(handler(req, res)).catch(next);
+        });
+    }
+
+    // Middleware refusing the requests whose API key (or the lack of it) doesn't have the `role`
+    authorize(role) {
+        return (req, res, next) => {
+            if (!this.access) {
+                return next();
+            }
+            try {
+                req.apiKey = this.access.authorize(apiKeyOf(req.headers), role);
+                return next();
+            } catch (error) {
+                return next(error);
+            }
+        };
+    }
+
+    // Middleware limiting the requests per IP and per wallet address (`address` of the body), answers 429 with `Retry-After`
+    rateLimit() {
+        return (req, res, next) => {
+            let retryAfter = this.limits.ip ? this.limits.ip.take(req.ip) : 0;
+            if (!retryAfter && this.limits.address && req.body && req.body.address) {
+                retryAfter = this.limits.address.take(String(req.body.address));
+            }
+            return next(retryAfter ? new RateLimitError(retryAfter) : undefined);
+        };
+    }
+
+    // Middleware reading a `multipart/form-data` body: the fields go to `req.body` and the file is hashed
+    // while it's received into `req.file` (`{ digest, size }`), it's never kept in memory nor written anywhere
+    multipart() {
+        return (req, res, next) => {
+            let parser;
+            try {
+                parser = busboy({ headers: req.headers, limits: { files: 1, fields: 20 } });
+            } catch (error) {
+                return next(new ValidationError("INVALID_BODY", "Expected a multipart/form-data body"));
+            }
+            let hashing = Promise.resolve(undefined);
+            let done = false;
+            const finish = (error) => {
+                if (!done) {
+                    done = true;
+                    next(error);
                 }
-            } else {
-                return res.status(404).send("Block Not Found! Review the Parameters!");
+            };
+            req.body = {};
+            parser.on("field", (name, value) => {
+                req.body[name] = value;
+            });
+            parser.on("file", (name, stream) => {
+                const hash = crypto.createHash("sha256");
+                let size = 0;
+                hashing = new Promise((resolve, reject) => {
+                    stream.on("data", (chunk) => {
+                        hash.update(chunk);
+                        size += chunk.length;
+                    });
+                    stream.on("end", () => resolve({ digest: hash.digest("hex"), size: size }));
+                    stream.on("error", reject);
+                });
+            });
+            parser.on("error", (error) => finish(new ValidationError("INVALID_BODY", `Malformed multipart body: ${error.message}`)));
+            parser.on("close", () => hashing.then((file) => {
+                req.file = file;
+                finish();
+            }, finish));
+            req.pipe(parser);
+        };
+    }
+
+    // Middleware validating the request against the schemas of the route definition,
+    // the path and query parameters are converted to the type of their schema
+    validateRequest(definition) {
+        return (req, res, next) => {
+            let errors = [];
+            for (const [name, schema] of Object.entries(definition.params || {})) {
+                req.params[name] = coerce(schema, req.params[name]);
+                errors.push(...validate(schema, req.params[name], `params.${name}`));
+            }
+            for (const [name, schema] of Object.entries(definition.query || {})) {
+                if (req.query[name] !== undefined) {
+                    req.query[name] = coerce(schema, req.query[name]);
+                    errors.push(...validate(schema, req.query[name], `query.${name}`));
+                }
+            }
+            if (definition.body) {
+                errors.push(...validate(definition.body, req.body || {}, "body"));
+            }
+            if (errors.length > 0) {
+                return next(new ValidationError("INVALID_REQUEST", `Check the request! ${errors.map(e => `${e.field} ${e.message}`).join(", ")}`, { errors: errors }));
+            }
+            return next();
+        };
+    }
+
+    // Answers the unknown routes with 404 and every error with its status and a `{ code, message, details }` body
+    handleErrors() {
+        this.app.use((req, res, next) => {
+            next(new NotFoundError("ROUTE_NOT_FOUND", `No route for ${req.method} ${req.path}`));
+        });
+        this.app.use((error, req, res, next) => {
+            const response = toErrorResponse(error);
+            if (response.status >= 500 && !(error instanceof BlockchainError)) {
+                (req.log || logger).error("Unexpected error", { error: error });
             }
+            if (res.headersSent) {
+                return next(error);
+            }
+            if (error instanceof RateLimitError) {
+                res.set("Retry-After", String(error.retryAfter));
+            }
+            return res.status(response.status).json(response.body);
+        });
+    }
 
+    // Enpoint to Get a Block by Height (GET Endpoint)
+    getBlockByHeight() {
+        this.route({
+            method: "get", path: "/block/height/:height", role: ROLE.READER,
+            summary: "Get a block by height",
+            params: { height: HEIGHT },
+            responses: { 200: "The block", 404: "No block at that height (`BLOCK_NOT_FOUND`)" }
+        }, async (req, res) => {
+            let block = await this.blockchain.getBlockByHeight(req.params.height);
+            if (!block) {
+                throw new NotFoundError("BLOCK_NOT_FOUND", `No block found at height ${req.params.height}`);
+            }
+            return res.status(200).json(block);
         });
     }
 
     // Endpoint that allows user to request Ownership of a Wallet address (POST Endpoint)
     requestOwnership() {
-        this.app.post("/requestValidation", async (req, res) => {
-            if (req.body.address) {
-                const address = req.body.address;
-                const message = await this.blockchain.requestMessageOwnershipVerification(address);
-                if (message) {
-                    return res.status(200).json(message);
-                } else {
-                    return res.status(500).send("An error happened!");
-                }
-            } else {
-                return res.status(500).send("Check the Body Parameter!");
-            }
+        this.route({
+            method: "post", path: "/requestValidation", role: ROLE.SUBMITTER, rateLimited: true,
+            summary: "Request the message to sign to prove the ownership of an address",
+            body: { type: "object", required: ["address"], properties: { address: { type: "string" } } },
+            responses: { 200: "The message to sign, its expiration and the detected `addressType`" }
+        }, async (req, res) => {
+            let challenge = await this.blockchain.requestMessageOwnershipVerification(req.body.address);
+            return res.status(200).json(challenge);
         });
     }
 
     // Endpoint that allow Submit a Star, yu need first to `requestOwnership` to have the message (POST endpoint)
+    // With `?async=true` the endpoint answers 202 with a job to poll while the block is mined
     submitStar() {
-        this.app.post("/submitstar", async (req, res) => {
-            if (req.body.address && req.body.message && req.body.signature && req.body.star) {
-                const address = req.body.address;
-                const message = req.body.message;
-                const signature = req.body.signature;
-                const star = req.body.star;
-                try {
-                    let block = await this.blockchain.submitStar(address, message, signature, star);
-                    if (block) {
-                        return res.status(200).json(block);
-                    } else {
-                        return res.status(500).send("An error happened!");
-                    }
-                } catch (error) {
-                    return res.status(500).send(error);
+        this.route({
+            method: "post", path: "/submitstar", role: ROLE.SUBMITTER, rateLimited: true,
+            summary: "Register a star signed by the owner of the address",
+            query: { async: { type: "boolean" } },
+            body: {
+                type: "object",
+                required: ["address", "message", "signature", "star"],
+                properties: {
+                    address: { type: "string" },
+                    message: { type: "string" },
+                    signature: { type: "string" },
+                    star: { type: "object", description: "`{ ra, dec, story }` or `{ ra, dec, private: { commitment, ciphertext } }`, answered with `INVALID_STAR` when it's not valid" }
                 }
-            } else {
-                return res.status(500).send("Check the Body Parameter!");
+            },
+            responses: {
+                200: "The block of the star",
+                202: "With `?async=true`, the job to poll",
+                401: "The signature doesn't match the address (`SIGNATURE_MISMATCH`)",
+                403: "The message was issued to another address (`CHALLENGE_ADDRESS_MISMATCH`)",
+                409: "The star or the message has already been used (`DUPLICATE_STAR`, `CHALLENGE_CONSUMED`)",
+                410: "The message expired (`CHALLENGE_EXPIRED`)",
+                503: "The node is in maintenance (`MAINTENANCE`)"
             }
+        }, async (req, res) => {
+            const { address, message, signature, star } = req.body;
+            const starErrors = validateStar(star);
+            if (starErrors.length > 0) {
+                throw new StarValidationError(starErrors);
+            }
+            if (req.query.async === true) {
+                const job = { id: crypto.randomBytes(8).toString("hex"), status: "pending", progress: null, block: null, error: null };
+                this.jobs.set(job.id, job);
+                this.blockchain.submitStar(address, message, signature, star, (progress) => {
+                    job.status = "mining";
+                    job.progress = progress;
+                }, { requestId: req.id }).then((block) => {
+                    job.status = "done";
+                    job.block = block;
+                }).catch((error) => {
+                    job.status = "failed";
+                    job.error = toErrorResponse(error).body;
+                }).then(() => {
+                    setTimeout(() => this.jobs.delete(job.id), JOB_RETENTION).unref();
+                });
+                return res.status(202).json({ jobId: job.id, status: job.status, statusUrl: `/submitstar/${job.id}` });
+            }
+            let block = await this.blockchain.submitStar(address, message, signature, star, undefined, { requestId: req.id });
+            return res.status(200).json(block);
+        });
+    }
+
+    // Endpoint to follow a submission made with `/submitstar?async=true` (GET endpoint)
+    getSubmissionStatus() {
+        this.route({
+            method: "get", path: "/submitstar/:jobId", role: ROLE.READER,
+            summary: "Get the status of an asynchronous submission",
+            params: { jobId: { type: "string" } },
+            responses: { 200: "The job, a failed job has an `error` with the `{ code, message, details }` of the error responses", 404: "Unknown or expired job (`JOB_NOT_FOUND`)" }
+        }, async (req, res) => {
+            const job = this.jobs.get(req.params.jobId);
+            if (!job) {
+                throw new NotFoundError("JOB_NOT_FOUND", `No submission job ${req.params.jobId}`);
+            }
+            return res.status(200).json(job);
+        });
+    }
+
+    // Endpoint that returns the mining configuration and the progress of the block being mined (GET endpoint)
+    getMiningStatus() {
+        this.route({
+            method: "get", path: "/mining/status", role: ROLE.READER,
+            summary: "Get the mining configuration and progress",
+            responses: { 200: "The mining status" }
+        }, async (req, res) => {
+            let status = await this.blockchain.getMiningStatus();
+            return res.status(200).json(status);
         });
     }
 
     // This endpoint allows you to retrieve the block by hash (GET endpoint)
     getBlockByHash() {
-        this.app.get("/block/hash/:hash", async (req, res) => {
-            if (req.params.hash) {
-                const hash = req.params.hash;
-                let block = await this.blockchain.getBlockByHash(hash);
-                if (block) {
-                    return res.status(200).json(block);
-                } else {
-                    return res.status(404).send("Block Not Found!");
+        this.route({
+            method: "get", path: "/block/hash/:hash", role: ROLE.READER,
+            summary: "Get a block by hash",
+            params: { hash: { type: "string" } },
+            query: { metadata: { type: "boolean" } },
+            responses: { 200: "The decoded star of the block, `{ data: block }` with its metadata when `metadata` is true", 404: "No block with that hash (`BLOCK_NOT_FOUND`)" }
+        }, async (req, res) => {
+            const metadata = req.query.metadata === true;
+            let block = await this.blockchain.getBlockByHash(req.params.hash, { metadata: metadata });
+            return res.status(200).json(metadata ? { data: block } : block);
+        });
+    }
+
+    // This endpoint allows you to request the list of Stars registered by an owner
+    getStarsByOwner() {
+        this.route({
+            method: "get", path: "/blocks/:address", role: ROLE.READER,
+            summary: "List the stars owned by an address",
+            params: { address: { type: "string" } },
+            query: { metadata: { type: "boolean" } },
+            responses: { 200: "The stars, empty when the address owns none, `{ data: stars }` with their metadata when `metadata` is true" }
+        }, async (req, res) => {
+            const metadata = req.query.metadata === true;
+            let stars = await this.blockchain.getStarsByWalletAddress(req.params.address, { metadata: metadata });
+            return res.status(200).json(metadata ? { data: stars } : stars);
+        });
+    }
+
+    // Endpoint that allows the owner of a star to transfer it to another address (POST endpoint)
+    // The owner signs `<message>:transfer:<starHash>:<to>` where `message` comes from `requestOwnership`
+    transferStar() {
+        this.route({
+            method: "post", path: "/transfer", role: ROLE.SUBMITTER, rateLimited: true,
+            summary: "Transfer a star to another address",
+            body: {
+                type: "object",
+                required: ["address", "message", "signature", "starHash", "to"],
+                properties: {
+                    address: { type: "string" },
+                    message: { type: "string" },
+                    signature: { type: "string", description: "Signature of `<message>:transfer:<starHash>:<to>`" },
+                    starHash: { type: "string" },
+                    to: { type: "string" }
                 }
-            } else {
-                return res.status(404).send("Block Not Found! Review the Parameters!");
+            },
+            responses: {
+                200: "The block of the transfer",
+                401: "The signature doesn't match the address (`SIGNATURE_MISMATCH`)",
+                403: "The address doesn't own the star or the message was issued to another address (`NOT_OWNER`, `CHALLENGE_ADDRESS_MISMATCH`)",
+                404: "Unknown star (`STAR_NOT_FOUND`)",
+                409: "Another transfer is pending or the message has already been used (`TRANSFER_PENDING`, `CHALLENGE_CONSUMED`)",
+                410: "The message expired (`CHALLENGE_EXPIRED`)",
+                503: "The node is in maintenance (`MAINTENANCE`)"
+            }
+        }, async (req, res) => {
+            const { address, message, signature, starHash, to } = req.body;
+            let block = await this.blockchain.transferStar(address, message, signature, starHash, to, { requestId: req.id });
+            return res.status(200).json(block);
+        });
+    }
+
+    // This endpoint returns a star with its current owner and the metadata of its block (GET endpoint)
+    getStar() {
+        this.route({
+            method: "get", path: "/star/:id", role: ROLE.READER,
+            summary: "Get a star by id",
+            params: { id: { type: "string" } },
+            responses: { 200: "The star, a private star has `revealed` once its story is revealed", 404: "Unknown star (`STAR_NOT_FOUND`)" }
+        }, async (req, res) => {
+            let star = await this.blockchain.getStar(req.params.id);
+            if (!star) {
+                throw new NotFoundError("STAR_NOT_FOUND", `No star registered with id ${req.params.id}`);
+            }
+            return res.status(200).json({ data: star });
+        });
+    }
+
+    // Search the stars by position (GET endpoint), the positions are in degrees
+    // Query: a cone `ra`, `dec` and `radius`, a box `raMin`, `raMax`, `decMin` and `decMax`, a `constellation`, `cursor` and `limit`
+    // Response: `{ data: [stars], page: { limit, nextCursor } }`, closest stars first
+    searchStars() {
+        this.route({
+            method: "get", path: "/stars/search", role: ROLE.READER,
+            summary: "Search the stars in a cone, a box or a constellation, closest first",
+            query: {
+                ra: { type: "number", minimum: 0, maximum: 360, description: "Right ascension of the center (degrees)" },
+                dec: { type: "number", minimum: -90, maximum: 90, description: "Declination of the center (degrees)" },
+                radius: { type: "number", minimum: 0, maximum: 180, description: "Radius of the cone (degrees)" },
+                raMin: { type: "number", minimum: 0, maximum: 360 },
+                raMax: { type: "number", minimum: 0, maximum: 360, description: "Lower than `raMin` for a box across 0h" },
+                decMin: { type: "number", minimum: -90, maximum: 90 },
+                decMax: { type: "number", minimum: -90, maximum: 90 },
+                constellation: { type: "string", description: "IAU abbreviation or name (`UMa`, `Ursa Major`)" },
+                cursor: { type: "integer", minimum: 0 },
+                limit: { type: "integer", minimum: 1, maximum: MAX_PAGE_SIZE }
+            },
+            responses: {
+                200: "`{ data: [{ id, blockHash, height, owner, currentOwner, star, position, constellation, distance }], page: { limit, nextCursor } }`",
+                400: "Missing or incomplete criteria (`INVALID_REQUEST`), unknown constellation (`UNKNOWN_CONSTELLATION`)"
+            }
+        }, async (req, res) => {
+            const query = Object.assign({}, req.query, { limit: req.query.limit || 20 });
+            let errors = [];
+            if ((query.ra === undefined) !== (query.dec === undefined)) {
+                errors.push({ field: query.ra === undefined ? "query.ra" : "query.dec", message: "is required with the other coordinate of the center" });
+            }
+            if (query.radius !== undefined && query.ra === undefined) {
+                errors.push({ field: "query.radius", message: "requires the center `ra` and `dec`" });
             }
+            const box = ["raMin", "raMax", "decMin", "decMax"].filter(field => query[field] !== undefined);
+            if (box.length > 0 && box.length < 4) {
+                errors.push({ field: "query.box", message: "requires `raMin`, `raMax`, `decMin` and `decMax`" });
+            } else if (box.length === 4 && query.decMin > query.decMax) {
+                errors.push({ field: "query.decMin", message: "must be lower than or equal to `decMax`" });
+            }
+            if (query.radius === undefined && box.length === 0 && query.constellation === undefined) {
+                errors.push({ field: "query", message: "requires a cone (`ra`, `dec`, `radius`), a box (`raMin`, `raMax`, `decMin`, `decMax`) or a `constellation`" });
+            }
+            if (errors.length > 0) {
+                throw new ValidationError("INVALID_REQUEST", `Check the request! ${errors.map(e => `${e.field} ${e.message}`).join(", ")}`, { errors: errors });
+            }
+            let page = await this.blockchain.searchStars(query);
+            return res.status(200).json({ data: page.stars, page: { limit: query.limit, nextCursor: page.nextCursor } });
+        });
+    }
 
+    // Endpoint that allows the owner of a private star to reveal its story (POST endpoint)
+    // The owner signs `<message>:reveal:<hash>` where `message` comes from `requestOwnership`, the story and the salt must match the commitment
+    revealStar() {
+        this.route({
+            method: "post", path: "/star/:hash/reveal", role: ROLE.SUBMITTER, rateLimited: true,
+            summary: "Reveal the story of a private star",
+            params: { hash: { type: "string" } },
+            body: {
+                type: "object",
+                required: ["address", "message", "signature", "story", "salt"],
+                properties: {
+                    address: { type: "string" },
+                    message: { type: "string" },
+                    signature: { type: "string", description: "Signature of `<message>:reveal:<hash>`" },
+                    story: { type: "string" },
+                    salt: { type: "string" }
+                }
+            },
+            responses: {
+                200: "The block of the reveal",
+                400: "The story is public, not valid or doesn't match the commitment (`STAR_NOT_PRIVATE`, `INVALID_STAR`, `COMMITMENT_MISMATCH`)",
+                401: "The signature doesn't match the address (`SIGNATURE_MISMATCH`)",
+                403: "The address doesn't own the star or the message was issued to another address (`NOT_OWNER`, `CHALLENGE_ADDRESS_MISMATCH`)",
+                404: "Unknown star (`STAR_NOT_FOUND`)",
+                409: "The story has already been revealed or the message has already been used (`STAR_ALREADY_REVEALED`, `CHALLENGE_CONSUMED`)",
+                410: "The message expired (`CHALLENGE_EXPIRED`)",
+                503: "The node is in maintenance (`MAINTENANCE`)"
+            }
+        }, async (req, res) => {
+            const { address, message, signature, story, salt } = req.body;
+            let block = await this.blockchain.revealStar(address, message, signature, req.params.hash, story, salt, { requestId: req.id });
+            return res.status(200).json(block);
         });
     }
 
-    // This endpoint allows you to request the list of Stars registered by an owner
-    getStarsByOwner() {
-        this.app.get("/blocks/:address", async (req, res) => {
-            if (req.params.address) {
-                const address = req.params.address;
-                try {
-                    let stars = await this.blockchain.getStarsByWalletAddress(address);
-                    if (stars) {
-                        return res.status(200).json(stars);
-                    } else {
-                        return res.status(404).send("Block Not Found!");
-                    }
-                } catch (error) {
-                    console.log(error)
-                    return res.status(500).send("An error happened!");
+    // Endpoint that anchors the SHA256 of a document uploaded as the `file` of a multipart form (POST endpoint)
+    // The owner signs `<message>:notarize:<digest>` where `message` comes from `requestOwnership`, the file isn't stored
+    notarizeDocument() {
+        this.route({
+            method: "post", path: "/notarize", role: ROLE.SUBMITTER, rateLimited: true, multipart: true,
+            summary: "Notarize a document, only its SHA256 is stored",
+            body: {
+                type: "object",
+                required: ["address", "message", "signature"],
+                properties: {
+                    address: { type: "string" },
+                    message: { type: "string" },
+                    signature: { type: "string", description: "Signature of `<message>:notarize:<digest>`, `digest` being the SHA256 of the file in hex" }
                 }
-            } else {
-                return res.status(500).send("Block Not Found! Review the Parameters!");
+            },
+            responses: {
+                200: "`{ digest, block }`, the block the document was notarized in",
+                401: "The signature doesn't match the address (`SIGNATURE_MISMATCH`)",
+                403: "The message was issued to another address (`CHALLENGE_ADDRESS_MISMATCH`)",
+                409: "The document or the message has already been used (`DUPLICATE_DOCUMENT`, `CHALLENGE_CONSUMED`)",
+                410: "The message expired (`CHALLENGE_EXPIRED`)",
+                503: "The node is in maintenance (`MAINTENANCE`)"
             }
+        }, async (req, res) => {
+            if (!req.file) {
+                const errors = [{ field: "body.file", message: "is required" }];
+                throw new ValidationError("INVALID_REQUEST", "Check the request! body.file is required", { errors: errors });
+            }
+            const { address, message, signature } = req.body;
+            let block = await this.blockchain.notarizeDocument(address, message, signature, req.file, undefined, { requestId: req.id });
+            return res.status(200).json({ digest: req.file.digest, block: block });
+        });
+    }
+
+    // Endpoint proving a document existed: the block, time and owner of its notarization (GET endpoint)
+    verifyDocument() {
+        this.route({
+            method: "get", path: "/verify/:digest", role: ROLE.READER,
+            summary: "Get the proof of existence of a document by SHA256",
+            params: { digest: DIGEST },
+            responses: { 200: "`{ digest, id, owner, time, block, transaction, leaf, proof, merkleRoot }`", 404: "The document isn't notarized (`DOCUMENT_NOT_FOUND`)" }
+        }, async (req, res) => {
+            const digest = req.params.digest.toLowerCase();
+            let proof = await this.blockchain.getDocumentProof(digest);
+            if (!proof) {
+                throw new NotFoundError("DOCUMENT_NOT_FOUND", `No document notarized with digest ${digest}`);
+            }
+            return res.status(200).json(proof);
+        });
+    }
 
+    // This endpoint returns the registration, the transfers and the reveal of a star (GET endpoint)
+    getStarHistory() {
+        this.route({
+            method: "get", path: "/star/:hash/history", role: ROLE.READER,
+            summary: "Get the registration and the transfers of a star",
+            params: { hash: { type: "string" } },
+            responses: { 200: "The history of the star", 404: "Unknown star (`STAR_NOT_FOUND`)" }
+        }, async (req, res) => {
+            let history = await this.blockchain.getStarHistory(req.params.hash);
+            if (!history) {
+                throw new NotFoundError("STAR_NOT_FOUND", `No star registered with id ${req.params.hash}`);
+            }
+            return res.status(200).json(history);
         });
     }
-// End point to validte the chain
+
+    // This endpoint returns the Merkle inclusion proof of a star registered in a batch block (GET endpoint)
+    getStarProof() {
+        this.route({
+            method: "get", path: "/star/:id/proof", role: ROLE.READER,
+            summary: "Get the Merkle inclusion proof of a star",
+            params: { id: { type: "string" } },
+            responses: { 200: "The proof", 404: "Unknown star or star registered before batching (`PROOF_NOT_FOUND`)" }
+        }, async (req, res) => {
+            let proof = await this.blockchain.getStarProof(req.params.id);
+            if (!proof) {
+                throw new NotFoundError("PROOF_NOT_FOUND", `No proof for star ${req.params.id}, it's unknown or registered before batching`);
+            }
+            return res.status(200).json(proof);
+        });
+    }
+
+    // Block explorer, lists the blocks with their metadata and decoded content (GET endpoint)
+    // Query: `cursor`, `limit`, `order` (asc|desc), `since`, `until`, `owner` and `q` (text in the star story)
+    // Response: `{ data: [blocks], page: { limit, order, nextCursor } }`
+    listBlocks() {
+        this.route({
+            method: "get", path: "/blocks", role: ROLE.READER,
+            summary: "List the blocks with their metadata and decoded content",
+            query: {
+                cursor: HEIGHT,
+                limit: { type: "integer", minimum: 1, maximum: MAX_PAGE_SIZE },
+                order: { type: "string", enum: ["asc", "desc"] },
+                since: { type: "integer", minimum: 0, description: "Oldest block time (UNIX seconds)" },
+                until: { type: "integer", minimum: 0, description: "Newest block time (UNIX seconds)" },
+                owner: { type: "string" },
+                q: { type: "string", description: "Text in the star story" }
+            },
+            responses: { 200: "`{ data: [blocks], page: { limit, order, nextCursor } }`" }
+        }, async (req, res) => {
+            const query = {
+                cursor: req.query.cursor,
+                limit: req.query.limit || 20,
+                order: req.query.order || "asc",
+                since: req.query.since,
+                until: req.query.until,
+                owner: req.query.owner,
+                q: req.query.q
+            };
+            let page = await this.blockchain.getBlocks(query);
+            return res.status(200).json({ data: page.blocks, page: { limit: query.limit, order: query.order, nextCursor: page.nextCursor } });
+        });
+    }
+
+    // Statistics about the chain (GET endpoint), response: `{ data: stats }`
+    getChainStats() {
+        this.route({
+            method: "get", path: "/chain/stats", role: ROLE.READER,
+            summary: "Get statistics about the chain",
+            responses: { 200: "`{ data: stats }`" }
+        }, async (req, res) => {
+            let stats = await this.blockchain.getChainStats();
+            return res.status(200).json({ data: stats });
+        });
+    }
+
+    // Blocks with a height greater or equal to `height`, used by the peers to sync (GET endpoint)
+    getChainSince() {
+        this.route({
+            method: "get", path: "/chain/since/:height", role: ROLE.READER,
+            summary: "Get the blocks from a height, used by the peers to sync",
+            params: { height: HEIGHT },
+            responses: { 200: "`{ height, blocks }`" }
+        }, async (req, res) => {
+            let blocks = await this.blockchain.getBlocksSince(req.params.height);
+            let height = await this.blockchain.getChainHeight();
+            return res.status(200).json({ height: height, blocks: blocks });
+        });
+    }
+
+    // Branches competing with the chain, orphan blocks and latest reorganizations (GET endpoint), response: `{ data: forks }`
+    getForks() {
+        this.route({
+            method: "get", path: "/chain/forks", role: ROLE.READER,
+            summary: "Get the side branches, the orphan blocks and the latest reorganizations",
+            responses: { 200: "`{ data: { tip, branches, orphans, reorgs } }`" }
+        }, async (req, res) => {
+            let forks = await this.blockchain.getForks();
+            return res.status(200).json({ data: forks });
+        });
+    }
+
+    // Endpoint used by the peer nodes to register themselves by URL (POST endpoint)
+    addPeer() {
+        this.route({
+            method: "post", path: "/peers", role: ROLE.PEER,
+            summary: "Register a peer node",
+            body: URL_BODY,
+            responses: { 200: "The peers" }
+        }, async (req, res) => {
+            let peers = await this.network.addPeer(req.body.url, { requestId: req.id });
+            return res.status(200).json(peers);
+        });
+    }
+
+    // Endpoint that lists the peer nodes (GET endpoint)
+    getPeers() {
+        this.route({
+            method: "get", path: "/peers", role: ROLE.READER,
+            summary: "List the peer nodes",
+            responses: { 200: "The peers" }
+        }, async (req, res) => {
+            return res.status(200).json(this.network.getPeers());
+        });
+    }
+
+    // Endpoint used by the peers to broadcast their new blocks (POST endpoint)
+    receiveBlock() {
+        this.route({
+            method: "post", path: "/peers/blocks", role: ROLE.PEER,
+            summary: "Receive a block broadcast by a peer",
+            body: {
+                type: "object",
+                required: ["block"],
+                properties: {
+                    block: { type: "object", required: ["hash"], properties: { hash: { type: "string" } } },
+                    from: { type: "string", format: "uri" }
+                }
+            },
+            responses: { 200: "`{ status }`, what the node did with the block" }
+        }, async (req, res) => {
+            let status = await this.network.receiveBlock(req.body.block, req.body.from, { requestId: req.id });
+            return res.status(200).json({ status: status });
+        });
+    }
+
+    // Server-Sent Events stream of the blockchain events (GET endpoint)
+    // Query: `owner` to only receive the events of an address, `lastHeight` (or the `Last-Event-ID` header)
+    // to first receive the blocks added after that height
+    streamEvents() {
+        this.route({
+            method: "get", path: "/events", role: ROLE.READER,
+            summary: "Stream the blockchain events (Server-Sent Events)",
+            query: { owner: { type: "string" }, lastHeight: HEIGHT },
+            responses: { 200: "The `text/event-stream` of the events" }
+        }, async (req, res) => {
+            let lastHeight = req.query.lastHeight;
+            if (lastHeight === undefined && req.get("Last-Event-ID") !== undefined) {
+                lastHeight = coerce(HEIGHT, req.get("Last-Event-ID"));
+                const errors = validate(HEIGHT, lastHeight, "headers.last-event-id");
+                if (errors.length > 0) {
+                    throw new ValidationError("INVALID_REQUEST", `Check the request! ${errors[0].field} ${errors[0].message}`, { errors: errors });
+                }
+            }
+            res.writeHead(200, { "Content-Type": "text/event-stream", "Cache-Control": "no-cache", "Connection": "keep-alive" });
+            res.write("\n");
+            const send = (event) => {
+                const id = event.id !== undefined ? `id: ${event.id}\n` : "";
+                res.write(`${id}event: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`);
+            };
+            let closed = false;
+            let unsubscribe = null;
+            const heartbeat = setInterval(() => res.write(": keep-alive\n\n"), HEARTBEAT_INTERVAL);
+            req.on("close", () => {
+                closed = true;
+                clearInterval(heartbeat);
+                if (unsubscribe) {
+                    unsubscribe();
+                }
+            });
+            unsubscribe = await this.events.connect({ owner: req.query.owner, lastHeight: lastHeight }, send);
+            if (closed) {
+                unsubscribe();
+            }
+        });
+    }
+
+    // Endpoint to validate the chain, `?from=` and `?to=` restrict the validation to a range of heights (GET Endpoint, admin)
     validateBlockChain() {
-        this.app.get("/validateBlockChain", async (req, res) => {
-          let errorlog = await this.blockchain.validateChain();
-    
-          if (errorlog && errorlog.length > 0) {
-            return res.status(500).json(errorlog);
-          }
-    
-          return res.status(200).json("Blockchain validation is successful!");
+        this.route({
+            method: "get", path: "/validateBlockChain", role: ROLE.ADMIN,
+            summary: "Validate the chain",
+            query: { from: HEIGHT, to: HEIGHT },
+            responses: { 200: "The validation report of a valid chain", 500: "The chain is corrupted (`CHAIN_CORRUPTED`), `details.errors` lists the failures" }
+        }, async (req, res) => {
+            let report = await this.blockchain.getValidationReport(req.query.from, req.query.to);
+            if (!report.valid) {
+                throw new CorruptChainError(report.errors);
+            }
+            return res.status(200).json(report);
+        });
+    }
+
+    // Endpoint returning a snapshot of the whole chain, it can be restored with `starchain import` (GET endpoint, admin)
+    getSnapshot() {
+        this.route({
+            method: "get", path: "/admin/snapshot", role: ROLE.ADMIN,
+            summary: "Download a snapshot of the whole chain",
+            responses: { 200: "`{ height, createdAt, blocks }`" }
+        }, async (req, res) => {
+            let blocks = await this.blockchain.getBlocksSince(0);
+            let height = blocks.length - 1;
+            res.set("Content-Disposition", `attachment; filename="chain-${height}.json"`);
+            return res.status(200).json({ height: height, createdAt: Math.floor(Date.now() / 1000), blocks: blocks });
+        });
+    }
+
+    // Endpoints to read and switch the maintenance mode, no block is added to the chain while it's on (admin)
+    // Body of the POST: `{ enabled, reason }`
+    maintenance() {
+        this.route({
+            method: "get", path: "/admin/maintenance", role: ROLE.ADMIN,
+            summary: "Get the maintenance mode",
+            responses: { 200: "`{ enabled, reason, since }`" }
+        }, async (req, res) => {
+            return res.status(200).json(await this.blockchain.getMaintenanceStatus());
+        });
+        this.route({
+            method: "post", path: "/admin/maintenance", role: ROLE.ADMIN,
+            summary: "Switch the maintenance mode",
+            body: { type: "object", required: ["enabled"], properties: { enabled: { type: "boolean" }, reason: { type: "string" } } },
+            responses: { 200: "`{ enabled, reason, since }`" }
+        }, async (req, res) => {
+            let status = await this.blockchain.setMaintenance(req.body.enabled, req.body.reason);
+            return res.status(200).json(status);
+        });
+    }
+
+    // Endpoints to add and remove peer nodes, the body is `{ url }` (admin)
+    managePeers() {
+        this.route({
+            method: "post", path: "/admin/peers", role: ROLE.ADMIN,
+            summary: "Add a peer node",
+            body: URL_BODY,
+            responses: { 200: "The peers" }
+        }, async (req, res) => {
+            return res.status(200).json(await this.network.addPeer(req.body.url, { requestId: req.id }));
+        });
+        this.route({
+            method: "delete", path: "/admin/peers", role: ROLE.ADMIN,
+            summary: "Remove a peer node",
+            body: URL_BODY,
+            responses: { 200: "The peers" }
+        }, async (req, res) => {
+            return res.status(200).json(await this.network.removePeer(req.body.url));
+        });
+    }
+
+    // Endpoints to list, create (body `{ name, role }`) and revoke the API keys (admin)
+    manageKeys() {
+        this.route({
+            method: "get", path: "/admin/keys", role: ROLE.ADMIN,
+            summary: "List the API keys",
+            responses: { 200: "The keys, without their secret" }
+        }, async (req, res) => {
+            return res.status(200).json(this.access.listKeys());
+        });
+        this.route({
+            method: "post", path: "/admin/keys", role: ROLE.ADMIN,
+            summary: "Create an API key",
+            body: { type: "object", required: ["role"], properties: { name: { type: "string" }, role: { type: "string", enum: Object.values(ROLE) } } },
+            responses: { 201: "The key, `key` is the secret and is only returned here" }
+        }, async (req, res) => {
+            return res.status(201).json(this.access.createKey(req.body.name, req.body.role));
+        });
+        this.route({
+            method: "delete", path: "/admin/keys/:id", role: ROLE.ADMIN,
+            summary: "Revoke an API key",
+            params: { id: { type: "string" } },
+            responses: { 204: "The key is revoked", 404: "Unknown key (`API_KEY_NOT_FOUND`)" }
+        }, async (req, res) => {
+            if (!this.access.revokeKey(req.params.id)) {
+                throw new NotFoundError("API_KEY_NOT_FOUND", `No API key with id ${req.params.id}`);
+            }
+            return res.status(204).end();
+        });
+    }
+
+    // Liveness and readiness probes (GET endpoints, public): `/healthz` answers as long as the process serves requests,
+    // `/readyz` answers 503 `NOT_READY` until the chain is loaded and the store recovered
+    health() {
+        this.route({
+            method: "get", path: "/healthz",
+            summary: "Check the node is alive",
+            responses: { 200: "`{ status: 'ok', uptime }`, `uptime` in seconds" }
+        }, async (req, res) => {
+            return res.status(200).json({ status: "ok", uptime: process.uptime() });
+        });
+        this.route({
+            method: "get", path: "/readyz",
+            summary: "Check the node is ready to serve the chain",
+            responses: {
+                200: "`{ status: 'ready', height, recoveredBytes }`, `recoveredBytes` were dropped from the store at startup",
+                503: "The chain is still loading (`NOT_READY`)"
+            }
+        }, async (req, res) => {
+            if (!this.blockchain.loaded) {
+                throw new UnavailableError("NOT_READY", "The chain is still loading");
+            }
+            const height = await this.blockchain.getChainHeight();
+            return res.status(200).json({ status: "ready", height: height, recoveredBytes: this.blockchain.store.recovered || 0 });
+        });
+    }
+
+    // Metrics in the Prometheus text format (GET endpoint)
+    getMetrics() {
+        this.route({
+            method: "get", path: "/metrics", role: ROLE.READER,
+            summary: "Get the metrics of the node in the Prometheus text format",
+            responses: { 200: "The `text/plain` metrics" }
+        }, async (req, res) => {
+            return res.status(200).type("text/plain; version=0.0.4").send(this.metrics.render());
         });
-      }
+    }
+
+    // OpenAPI document of the REST Api, generated from the route definitions (GET endpoint, public)
+    getDocs() {
+        this.route({
+            method: "get", path: "/docs",
+            summary: "Get the OpenAPI document of the REST Api",
+            responses: { 200: "The OpenAPI 3 document" }
+        }, async (req, res) => {
+            return res.status(200).json(buildOpenApi(this.routes, {
+                title: "Private Blockchain Star Registry",
+                version: require("./package.json").version,
+                description: "Every error is answered with its HTTP status and a `{ code, message, details }` body."
+            }));
+        });
+    }
 
 }
 
-module.exports = (app, blockchainObj) => { return new BlockchainController(app, blockchainObj); }
\ No newline at end of file
+module.exports = (app, blockchainObj, networkObj, eventsObj, accessObj, limitsObj, metricsObj) => { return new BlockchainController(app, blockchainObj, networkObj, eventsObj, accessObj, limitsObj, metricsObj); }
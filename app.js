@@ -1,57 +1,221 @@
 /**
  *                 ApplicationServer
- *             (Do not change this code)
  * Require Modules to setup the REST Api
  * - `express` Express.js is a Web Framework
- * - `morgan` Isn't required but help with debugging and logging
  * - `body-parser` This module allows to parse the body of the post request into a JSON
+ * The node is configured by `./src/config.js` (configuration file, environment variables and flags),
+ * `node app.js --port 8080` starts it and SIGTERM or SIGINT shut it down gracefully. Requiring this
+ * module doesn't start anything: `createServer(config)` returns a node that isn't listening yet.
  */
+const http = require("http");
+const https = require("https");
+const fs = require("fs");
 const express = require("express");
-const morgan = require("morgan");
 const bodyParser = require("body-parser");
+/**
+ * Require the configuration loader, see `SETTINGS` in `./src/config.js` for the settings with their
+ * environment variable and flag (`PORT`/`--port`, `CHAIN_DATA_PATH`/`--data`, `SIGNATURE_WINDOW`...).
+ */
+const { loadConfig, ConfigError } = require('./src/config.js');
+/**
+ * Require the logger, the logs are JSON lines on the standard output, `logLevel` sets the lowest
+ * level written (debug, info, warn, error or silent). Every request is logged with its request id.
+ * Each node logs with its own logger, handed to its chain, store, peer network and event hub, so the
+ * nodes of a process (the tests) keep their level. The shared logger only reports a configuration error.
+ */
+const { Logger, logger, requestLogger } = require('./src/logger.js');
+/**
+ * Require the NodeMetrics class, the metrics are served in the Prometheus text format at `/metrics`.
+ */
+const { NodeMetrics } = require('./src/metrics.js');
 /**
  * Require the Blockchain class. This allow us to have only one instance of the class.
  */
 const BlockChain = require('./src/blockchain.js');
+/**
+ * Require the storage backends, the chain is persisted in an append-only log on the local disk
+ * at `dataPath`, or kept in memory when `dataPath` is null.
+ */
+const { FileStore, MemoryStore } = require('./src/storage.js');
+/**
+ * Require the PeerNetwork class, the node URL is set with `nodeUrl` and the initial peers with `peers`.
+ */
+const { PeerNetwork } = require('./src/network.js');
+/**
+ * Require the EventHub class, it streams the blockchain events over SSE and WebSocket.
+ */
+const { EventHub } = require('./src/events.js');
+/**
+ * Require the AccessControl and RateLimiter classes. The API keys are stored in `keysPath` (in memory
+ * when it's null), `anonymousRole` is the role of the requests without a key, `rateLimitIp` and
+ * `rateLimitAddress` the number of challenge and submission requests allowed per IP and per wallet
+ * address every `rateLimitWindow` seconds.
+ */
+const { AccessControl, ROLE, apiKeyOf } = require('./src/auth.js');
+const { RateLimiter } = require('./src/ratelimit.js');
 
 class ApplicationServer {
 
-	constructor() {
+	/**
+	 * Build the node from its configuration, `loadConfig()` by default. The node doesn't listen until
+	 * `start()` is called, so the tests can mount `this.app` and use `this.blockchain` directly.
+	 * @param {*} config
+	 */
+	constructor(config) {
+		this.config = config || loadConfig();
+		//Logger of the node, the requests, the chain, the peers and the server events are logged at `logLevel`,
+		//every line carries the `node` URL when it's set
+		this.logger = new Logger({ level: this.config.logLevel, fields: this.config.nodeUrl ? { node: this.config.nodeUrl } : {} });
 		//Express application object
 		this.app = express();
 		//Blockchain class object
-		this.blockchain = new BlockChain.Blockchain();
+		//Blocks are mined with proof of work when `difficulty` is set, stars are sealed by batches
+		//of `batchSize` or every `batchInterval` seconds, messages are valid for `signatureWindow` seconds
+		this.blockchain = new BlockChain.Blockchain(this.config.dataPath ? new FileStore(this.config.dataPath, { logger: this.logger }) : new MemoryStore(), {
+			mining: this.config.difficulty > 0,
+			difficulty: this.config.difficulty,
+			minDifficulty: this.config.minDifficulty,
+			batch: { size: this.config.batchSize, interval: this.config.batchInterval },
+			network: this.config.network,
+			hashAlgorithm: this.config.hashAlgorithm,
+			signatureWindow: this.config.signatureWindow,
+			logger: this.logger
+		});
+		//PeerNetwork class object, connects the node to the other nodes
+		this.network = new PeerNetwork(this.blockchain, { selfUrl: this.config.nodeUrl, apiKey: this.config.peerApiKey, logger: this.logger });
+		//EventHub class object, forwards the blockchain events to the subscribed clients
+		this.events = new EventHub(this.blockchain, { logger: this.logger });
+		//NodeMetrics class object, collects the metrics of the node
+		this.metrics = new NodeMetrics(this.blockchain);
+		//AccessControl class object, API keys and roles
+		this.access = new AccessControl(this.config.keysPath, { anonymousRole: this.config.anonymousRole });
+		//Rate limiters of the challenge and submission routes
+		this.limits = {
+			ip: new RateLimiter({ limit: this.config.rateLimitIp, window: this.config.rateLimitWindow }),
+			address: new RateLimiter({ limit: this.config.rateLimitAddress, window: this.config.rateLimitWindow })
+		};
+		//HTTP server, created by `start()`
+		this.server = null;
 		//Method that initialized the express framework.
 		this.initExpress();
 		//Method that initialized middleware modules
 		this.initExpressMiddleWare();
 		//Method that initialized the controllers where you defined the endpoints
 		this.initControllers();
-		//Method that run the express application.
-		this.start();
 	}
 
 	initExpress() {
-		this.app.set("port", 8000);
+		this.app.set("port", this.config.port);
 	}
 
 	initExpressMiddleWare() {
-		this.app.use(morgan("dev"));
+		this.app.use(requestLogger(this.logger));
+		this.app.use(this.metrics.middleware());
 		this.app.use(bodyParser.urlencoded({extended:true}));
 		this.app.use(bodyParser.json());
 	}
 
 	initControllers() {
-        require("./BlockchainController.js")(this.app, this.blockchain);
+        require("./BlockchainController.js")(this.app, this.blockchain, this.network, this.events, this.access, this.limits, this.metrics);
 	}
 
+	/**
+	 * Listen on `port` and `host` (HTTPS when `tlsCert` and `tlsKey` are set) and connect to the peers.
+	 * The server answers while the chain is loading, `/readyz` tells when it's loaded.
+	 * Resolves with the HTTP server once it's listening.
+	 */
 	start() {
 		let self = this;
-		this.app.listen(this.app.get("port"), () => {
-			console.log(`Server Listening for port: ${self.app.get("port")}`);
+		let config = this.config;
+		return new Promise((resolve, reject) => {
+			self.server = config.tlsCert
+				? https.createServer({ cert: fs.readFileSync(config.tlsCert), key: fs.readFileSync(config.tlsKey) }, self.app)
+				: http.createServer(self.app);
+			self.server.once("error", reject);
+			self.server.listen(config.port, config.host || undefined, () => {
+				self.server.removeListener("error", reject);
+				self.logger.info("Server listening", { port: self.server.address().port, host: config.host, tls: !!config.tlsCert });
+				config.peers.forEach(url => self.network.addPeer(url));
+				resolve(self.server);
+			});
+			self.events.attach(self.server, (request) => {
+				try {
+					self.access.authorize(apiKeyOf(request.headers), ROLE.READER);
+					return true;
+				} catch (error) {
+					return false;
+				}
+			});
 		});
 	}
 
+	/**
+	 * Graceful shutdown: the server stops accepting connections, the pending stars are sealed and
+	 * the blocks being added are written (see `Blockchain.close()`), then the server waits for the
+	 * requests in progress, at most `shutdownTimeout` seconds before closing the connections left
+	 * (like the event streams). Resolves once everything is closed.
+	 */
+	async stop() {
+		let self = this;
+		self.network.stop();
+		self.limits.ip.stop();
+		self.limits.address.stop();
+		let closing = Promise.resolve();
+		if (self.server) {
+			closing = new Promise(resolve => self.server.close(resolve));
+		}
+		await self.blockchain.close();
+		self.events.close();
+		if (self.server) {
+			self.server.closeIdleConnections();
+			let timer = setTimeout(() => self.server.closeAllConnections(), self.config.shutdownTimeout * 1000);
+			await closing;
+			clearTimeout(timer);
+		}
+		self.logger.info("Server stopped");
+	}
+
 }
 
-new ApplicationServer();
\ No newline at end of file
+/**
+ * Return a node built from `config` (see `loadConfig()`), not started.
+ * @param {*} config
+ */
+function createServer(config) {
+	return new ApplicationServer(config);
+}
+
+module.exports.ApplicationServer = ApplicationServer;
+module.exports.createServer = createServer;
+
+if (require.main === module) {
+	let server;
+	try {
+		server = createServer(loadConfig({ argv: process.argv.slice(2) }));
+	} catch (error) {
+		logger.error(error instanceof ConfigError ? error.message : "Unable to create the server", { error: error });
+		process.exit(2);
+	}
+	server.blockchain.ready.catch((error) => {
+		server.logger.error("Unable to load the chain", { error: error });
+		process.exit(1);
+	});
+	server.start().catch((error) => {
+		server.logger.error("Unable to start the server", { error: error });
+		process.exit(1);
+	});
+	let stopping = false;
+	const shutdown = (signal) => {
+		if (stopping) {
+			return;
+		}
+		stopping = true;
+		server.logger.info("Shutting down", { signal: signal });
+		server.stop().then(() => process.exit(0), (error) => {
+			server.logger.error("Unable to stop the server cleanly", { error: error });
+			process.exit(1);
+		});
+	};
+	process.on("SIGTERM", () => shutdown("SIGTERM"));
+	process.on("SIGINT", () => shutdown("SIGINT"));
+}
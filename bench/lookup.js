@@ -0,0 +1,51 @@
+/**
+ *                          Lookup benchmark
+ *  Builds chains of growing size in memory and measures the average time of the lookups
+ *  served by the indexes (`getBlockByHash`, `getBlockByHeight`, `getStarsByWalletAddress`).
+ *  The times should stay flat as the chain grows.
+ *  Usage: `npm run bench` or `node bench/lookup.js 1000 10000 100000`
+ */
+
+const { Blockchain } = require('../src/blockchain.js');
+const { Block } = require('../src/block.js');
+
+const SIZES = process.argv.length > 2 ? process.argv.slice(2).map(size => parseInt(size)) : [1000, 10000, 100000];
+const LOOKUPS = 2000;
+const STARS_PER_OWNER = 10;
+
+async function buildChain(size, owners) {
+    let blockchain = new Blockchain();
+    await blockchain.ready;
+    for (let i = 1; i < size; i++) {
+        let block = new Block({ ra: `${i % 24}h ${i % 60}m ${i % 60}s`, dec: `${i % 90}° ${i % 60}' ${i % 60}`, story: `Star number ${i}` });
+        block.address = `owner-${i % owners}`;
+        await blockchain._addBlock(block);
+    }
+    return blockchain;
+}
+
+async function measure(lookups, lookup) {
+    let start = process.hrtime.bigint();
+    for (let i = 0; i < lookups; i++) {
+        await lookup(i);
+    }
+    return Number(process.hrtime.bigint() - start) / lookups / 1000;
+}
+
+async function run() {
+    console.log('blocks\tbyHash (µs)\tbyHeight (µs)\tbyOwner (µs)');
+    for (const size of SIZES) {
+        let owners = Math.max(1, Math.floor(size / STARS_PER_OWNER));
+        let blockchain = await buildChain(size, owners);
+        let random = () => Math.floor(Math.random() * size);
+        let hashes = Array.from({ length: LOOKUPS }, () => blockchain.chain[random()].hash);
+        let byHash = await measure(LOOKUPS, i => blockchain.getBlockByHash(hashes[i]));
+        let byHeight = await measure(LOOKUPS, () => blockchain.getBlockByHeight(random()));
+        // Every owner has the same number of stars whatever the size of the chain
+        let byOwner = await measure(LOOKUPS, i => blockchain.getStarsByWalletAddress(`owner-${i % owners}`).catch(() => []));
+        console.log(`${size}\t${byHash.toFixed(1)}\t\t${byHeight.toFixed(1)}\t\t${byOwner.toFixed(1)}`);
+        blockchain.challenges.stop();
+    }
+}
+
+run();
@@ -0,0 +1,382 @@
+#!/usr/bin/env node
+/**
+ *                          starchain command-line tool
+ *  Works directly on a chain store (the append-only log written by the application) without going
+ *  through the REST Api, and registers stars on a running node signing the message with a local key.
+ *  Run `starchain` without arguments for the list of commands.
+ */
+
+const fs = require('fs');
+const { ECPairFactory } = require('ecpair');
+const ecc = require('tiny-secp256k1');
+const { Blockchain } = require('../src/blockchain.js');
+const { Block } = require('../src/block.js');
+const { FileStore } = require('../src/storage.js');
+const { ChainValidator } = require('../src/validator.js');
+const { migrateLegacyBlock } = require('../src/hashing.js');
+const { requestJSON } = require('../src/http.js');
+const { ADDRESS_TYPE, getNetwork, signMessage, addressOf } = require('../src/signature.js');
+const { AccessControl, ROLE } = require('../src/auth.js');
+const { encryptStory, decryptStory, revealMessage } = require('../src/privacy.js');
+
+const USAGE = `Usage: starchain [--data <path>] [--network bitcoin|testnet|regtest] <command> [options]
+
+  validate [--from <height>] [--to <height>]        validate the stored chain, exits with 1 when it's corrupted
+  show <height|hash>                                print a block with its metadata and decoded content
+  export [--format json|ndjson|csv] [--out <file>]  export the chain (json and ndjson can be imported back)
+  import <file> [--format json|ndjson]              validate a whole chain and adopt it if it's heavier
+  stats                                             print statistics about the chain
+  migrate                                           re-verify the blocks created before versioned headers and
+                                                    restore the property order of the ones that lost it
+  register --server <url> --wif <key> --ra <ra> --dec <dec> --story <story> [--type p2pkh|p2sh-p2wpkh|p2wpkh|p2tr]
+           [--visibility public|private] [--api-key <key>]
+                                                    request a message, sign it with the key and submit the star,
+                                                    a private story is encrypted with the key
+  reveal --server <url> --wif <key> --star <id> [--type ...] [--api-key <key>]
+                                                    decrypt the private story of the star and reveal it
+  keys create --role reader|submitter|peer|admin [--name <name>]
+                                                    create an API key, the key is only shown once
+  keys list                                         list the API keys
+  keys revoke <id>                                  revoke an API key
+
+The chain store is --data, CHAIN_DATA_PATH or ./data/chain.log, the commands refuse to run while a
+node (or another command) has it open, validate, show, export and stats only read it
+The API keys are stored in --keys, API_KEYS_PATH or ./data/api-keys.json`;
+const CSV_COLUMNS = ['height', 'hash', 'previousBlockHash', 'time', 'nonce', 'difficulty', 'merkleRoot', 'type', 'owner', 'starId', 'ra', 'dec', 'story', 'digest'];
+
+class UsageError extends Error { }
+
+/**
+ * Split the arguments in positional arguments and `--name value` options.
+ * @param {*} argv 
+ */
+function parseArguments(argv) {
+    let positional = [];
+    let options = {};
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i].startsWith('--')) {
+            if (i + 1 >= argv.length) {
+                throw new UsageError(`Missing value for ${argv[i]}`);
+            }
+            options[argv[i].slice(2)] = argv[++i];
+        } else {
+            positional.push(argv[i]);
+        }
+    }
+    return { positional: positional, options: options };
+}
+
+function integerOption(options, name) {
+    if (options[name] === undefined) {
+        return undefined;
+    }
+    if (!/^\d+$/.test(options[name])) {
+        throw new UsageError(`--${name} must be a positive integer`);
+    }
+    return parseInt(options[name]);
+}
+
+function networkOption(options) {
+    try {
+        return getNetwork(options.network);
+    } catch (error) {
+        throw new UsageError(error.message);
+    }
+}
+
+// The read commands open the store read-only, they never create, repair nor write a genesis block in it
+async function openChain(path, options, writable) {
+    if (!writable && fs.existsSync(path) && fs.statSync(path).size === 0) {
+        throw new Error(`The chain store ${path} is empty`);
+    }
+    networkOption(options);
+    let blockchain = new Blockchain(new FileStore(path, { readOnly: !writable }), { network: options.network });
+    await blockchain.ready;
+    return blockchain;
+}
+
+// The blocks are validated straight from the store, a `Blockchain` refuses to load a corrupted chain
+async function validate(path, options) {
+    let store = new FileStore(path, { readOnly: true });
+    let chain = (await store.open()).map(record => Block.fromJSON(record));
+    await store.close();
+    let report = await new ChainValidator(chain, { network: networkOption(options) }).run(integerOption(options, 'from'), integerOption(options, 'to'));
+    console.log(JSON.stringify(report, null, 2));
+    return report.valid ? 0 : 1;
+}
+
+async function show(path, positional, options) {
+    if (positional.length !== 1) {
+        throw new UsageError('show expects a height or a hash');
+    }
+    let blockchain = await openChain(path, options);
+    let hash = positional[0];
+    if (/^\d+$/.test(hash)) {
+        let block = await blockchain.getBlockByHeight(parseInt(hash));
+        if (!block) {
+            throw new Error(`No block at height ${hash}`);
+        }
+        hash = block.hash;
+    }
+    let view = await blockchain.getBlockByHash(hash, { metadata: true }).catch(() => null);
+    if (!view) {
+        throw new Error(`No block with hash ${hash}`);
+    }
+    console.log(JSON.stringify(view, null, 2));
+    return 0;
+}
+
+function csvField(value) {
+    let text = value === undefined || value === null ? '' : String(value);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// One row per star or document (a batch block gives a row per transaction), one row for the other blocks
+function csvRows(view) {
+    let base = { ...view };
+    if (view.type === 'batch') {
+        return view.transactions.map(transaction => transaction.type === 'document'
+            ? Object.assign({}, base, { owner: transaction.owner, digest: transaction.document.digest })
+            : Object.assign({}, base, { owner: transaction.owner, starId: transaction.id }, transaction.star,
+                transaction.revealed ? { story: transaction.revealed.story } : {}));
+    }
+    if (view.type === 'star') {
+        return [Object.assign(base, { starId: view.id }, view.star)];
+    }
+    return [base];
+}
+
+async function exportChain(path, options) {
+    let format = options.format || 'json';
+    let blockchain = await openChain(path, options);
+    let blocks = await blockchain.getBlocksSince(0);
+    let output;
+    if (format === 'json') {
+        output = JSON.stringify(blocks, null, 2) + '\n';
+    } else if (format === 'ndjson') {
+        output = blocks.map(block => JSON.stringify(block) + '\n').join('');
+    } else if (format === 'csv') {
+        let rows = [];
+        for (const block of blocks) {
+            let view = await blockchain.getBlockByHash(block.hash, { metadata: true });
+            rows.push(...csvRows(view));
+        }
+        output = [CSV_COLUMNS.join(','), ...rows.map(row => CSV_COLUMNS.map(column => csvField(row[column])).join(','))].join('\n') + '\n';
+    } else {
+        throw new UsageError('--format must be json, ndjson or csv');
+    }
+    if (options.out) {
+        fs.writeFileSync(options.out, output);
+    } else {
+        process.stdout.write(output);
+    }
+    return 0;
+}
+
+function readBlocks(file, format) {
+    let content = fs.readFileSync(file, 'utf8');
+    if ((format || (file.endsWith('.ndjson') ? 'ndjson' : 'json')) === 'ndjson') {
+        return content.split('\n').filter(line => line.trim()).map(line => JSON.parse(line));
+    }
+    let data = JSON.parse(content);
+    // Accept the output of `export` as well as the response of `GET /chain/since/0`
+    return Array.isArray(data) ? data : data.blocks;
+}
+
+async function importChain(path, positional, options) {
+    if (positional.length !== 1) {
+        throw new UsageError('import expects the file to import');
+    }
+    let records = readBlocks(positional[0], options.format);
+    if (!Array.isArray(records) || records.length === 0) {
+        throw new Error('The file contains no block');
+    }
+    let report = await new ChainValidator(records.map(record => Block.fromJSON(record)), { network: networkOption(options) }).run();
+    if (!report.valid) {
+        console.log(JSON.stringify(report, null, 2));
+        throw new Error(`The imported chain is not valid at height ${report.firstCorruptHeight}`);
+    }
+    let store = new FileStore(path);
+    let existing = await store.open();
+    if (existing.length === 0) {
+        await store.replace(records);
+        await store.close();
+    } else {
+        await store.close();
+        let blockchain = await openChain(path, options, true);
+        await blockchain.replaceChain(records);
+        await blockchain.store.close();
+    }
+    console.log(`Imported ${records.length} blocks into ${path}`);
+    return 0;
+}
+
+async function stats(path, options) {
+    let blockchain = await openChain(path, options);
+    console.log(JSON.stringify(await blockchain.getChainStats(), null, 2));
+    return 0;
+}
+
+// Legacy blocks keep their hash (the stars they registered are identified by it), only their order is fixed
+async function migrate(path, options) {
+    if (!fs.existsSync(path)) {
+        throw new Error(`No chain store at ${path}`);
+    }
+    let store = new FileStore(path);
+    let records = await store.open();
+    let result = { blocks: records.length, legacy: 0, reordered: [], unverified: [], versions: {} };
+    let migrated = records.map((record) => {
+        let version = record.version || 'legacy';
+        result.versions[version] = (result.versions[version] || 0) + 1;
+        if (version !== 'legacy') {
+            return record;
+        }
+        result.legacy++;
+        let block;
+        try {
+            block = migrateLegacyBlock(record);
+        } catch (error) {
+            block = null;
+        }
+        if (!block) {
+            result.unverified.push(record.height);
+            return record;
+        }
+        if (block !== record) {
+            result.reordered.push(record.height);
+        }
+        return block;
+    });
+    let report = await new ChainValidator(migrated.map(record => Block.fromJSON(record)), { network: networkOption(options) }).run();
+    result.valid = report.valid;
+    result.errors = report.errors;
+    if (report.valid && result.reordered.length > 0) {
+        await store.replace(migrated);
+    }
+    await store.close();
+    console.log(JSON.stringify(result, null, 2));
+    return report.valid ? 0 : 1;
+}
+
+// Options shared by the commands signing with a local key: the key, the address it signs for and the node
+function walletOptions(command, options, required) {
+    for (const name of ['server', 'wif', ...required]) {
+        if (options[name] === undefined) {
+            throw new UsageError(`${command} expects --${name}`);
+        }
+    }
+    let network = networkOption(options);
+    let type = options.type || ADDRESS_TYPE.P2PKH;
+    if (!Object.values(ADDRESS_TYPE).includes(type)) {
+        throw new UsageError(`--type must be one of ${Object.values(ADDRESS_TYPE).join(', ')}`);
+    }
+    let keyPair = ECPairFactory(ecc).fromWIF(options.wif, network);
+    if (type !== ADDRESS_TYPE.P2PKH && !keyPair.compressed) {
+        throw new UsageError(`A ${type} address needs a compressed key`);
+    }
+    return {
+        network: network,
+        type: type,
+        keyPair: keyPair,
+        address: addressOf(Buffer.from(keyPair.publicKey), type, network),
+        server: options.server.replace(/\/$/, ''),
+        headers: options['api-key'] ? { 'X-API-Key': options['api-key'] } : undefined
+    };
+}
+
+// Request a message for the address of the wallet and sign `text(message)` with its key
+async function signChallenge(wallet, text) {
+    let challenge = await requestJSON('POST', `${wallet.server}/requestValidation`, { address: wallet.address }, undefined, wallet.headers);
+    let signature = signMessage(text(challenge.message), Buffer.from(wallet.keyPair.privateKey), wallet.type, wallet.network, wallet.keyPair.compressed);
+    console.log(`Signed ${text(challenge.message)} with ${wallet.address}`);
+    return { message: challenge.message, signature: signature };
+}
+
+async function register(options) {
+    let wallet = walletOptions('register', options, ['ra', 'dec', 'story']);
+    let visibility = options.visibility || 'public';
+    if (visibility !== 'public' && visibility !== 'private') {
+        throw new UsageError('--visibility must be public or private');
+    }
+    let star = { ra: options.ra, dec: options.dec, story: options.story };
+    if (visibility === 'private') {
+        star = { ra: options.ra, dec: options.dec, private: encryptStory(options.story, Buffer.from(wallet.keyPair.privateKey)).private };
+    }
+    let { message, signature } = await signChallenge(wallet, challenge => challenge);
+    let block = await requestJSON('POST', `${wallet.server}/submitstar`, { address: wallet.address, message: message, signature: signature, star: star }, 10 * 60 * 1000, wallet.headers);
+    console.log(JSON.stringify(block, null, 2));
+    return 0;
+}
+
+// The story is decrypted locally, only the current owner who registered the star can reveal it this way
+async function reveal(options) {
+    let wallet = walletOptions('reveal', options, ['star']);
+    let view = (await requestJSON('GET', `${wallet.server}/star/${encodeURIComponent(options.star)}`, undefined, undefined, wallet.headers)).data;
+    if (!view.star.private) {
+        throw new Error(`The story of the star ${options.star} is public`);
+    }
+    let secret;
+    try {
+        secret = decryptStory(view.star.private.ciphertext, Buffer.from(wallet.keyPair.privateKey));
+    } catch (error) {
+        throw new Error('The story was not encrypted with this key');
+    }
+    let { message, signature } = await signChallenge(wallet, challenge => revealMessage(challenge, options.star));
+    let body = { address: wallet.address, message: message, signature: signature, story: secret.story, salt: secret.salt };
+    let block = await requestJSON('POST', `${wallet.server}/star/${encodeURIComponent(options.star)}/reveal`, body, 10 * 60 * 1000, wallet.headers);
+    console.log(JSON.stringify(block, null, 2));
+    return 0;
+}
+
+// The node picks up the keys created or revoked here without restarting
+async function keys(positional, options) {
+    let access = new AccessControl(options.keys || process.env.API_KEYS_PATH || './data/api-keys.json');
+    let action = positional.shift();
+    if (action === 'create') {
+        if (!Object.values(ROLE).includes(options.role)) {
+            throw new UsageError(`keys create expects --role ${Object.values(ROLE).join('|')}`);
+        }
+        console.log(JSON.stringify(access.createKey(options.name, options.role), null, 2));
+        return 0;
+    }
+    if (action === 'list') {
+        console.log(JSON.stringify(access.listKeys(), null, 2));
+        return 0;
+    }
+    if (action === 'revoke') {
+        if (positional.length !== 1) {
+            throw new UsageError('keys revoke expects the id of the key');
+        }
+        if (!access.revokeKey(positional[0])) {
+            throw new Error(`No API key with id ${positional[0]}`);
+        }
+        console.log(`Revoked ${positional[0]}`);
+        return 0;
+    }
+    throw new UsageError(action ? `Unknown keys action ${action}` : 'keys expects create, list or revoke');
+}
+
+async function main(argv) {
+    let { positional, options } = parseArguments(argv);
+    let path = options.data || process.env.CHAIN_DATA_PATH || './data/chain.log';
+    let command = positional.shift();
+    switch (command) {
+        case 'validate': return validate(path, options);
+        case 'show': return show(path, positional, options);
+        case 'export': return exportChain(path, options);
+        case 'import': return importChain(path, positional, options);
+        case 'stats': return stats(path, options);
+        case 'migrate': return migrate(path, options);
+        case 'register': return register(options);
+        case 'reveal': return reveal(options);
+        case 'keys': return keys(positional, options);
+        default: throw new UsageError(command ? `Unknown command ${command}` : 'Missing command');
+    }
+}
+
+main(process.argv.slice(2)).then((code) => {
+    process.exit(code);
+}, (error) => {
+    console.error(error instanceof UsageError ? `${error.message}\n\n${USAGE}` : `Error: ${error.message}`);
+    process.exit(error instanceof UsageError ? 2 : 1);
+});
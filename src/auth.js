@@ -0,0 +1,186 @@
+/**
+ *                          AccessControl Class
+ *  API keys and roles. Every key has a role and a role includes the permissions of the roles
+ *  before it: `reader` (read the chain), `submitter` (request messages, submit and transfer stars),
+ *  `peer` (register as a peer and broadcast blocks, the key of the other nodes, see `peerApiKey`)
+ *  and `admin` (validate the whole chain, snapshot, peers, maintenance and API keys). Keys are stored in a local JSON file that only keeps their SHA256, the key itself
+ *  is shown once when it's created. Requests without a key get the `anonymousRole`.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { BlockchainError } = require('./errors.js');
+
+const ROLE = {
+    READER: 'reader',
+    SUBMITTER: 'submitter',
+    PEER: 'peer',
+    ADMIN: 'admin'
+};
+
+// Lowest to highest
+const ROLES = [ROLE.READER, ROLE.SUBMITTER, ROLE.PEER, ROLE.ADMIN];
+
+const AUTH_ERROR = {
+    KEY_REQUIRED: 'API_KEY_REQUIRED',               // The route needs a key and the request has none
+    INVALID_KEY: 'API_KEY_INVALID',                 // The key is unknown or has been revoked
+    FORBIDDEN: 'FORBIDDEN'                          // The role of the key doesn't allow the route
+};
+
+class AuthError extends BlockchainError {
+
+    constructor(code, message) {
+        super(code, message, null, code === AUTH_ERROR.FORBIDDEN ? 403 : 401);
+    }
+
+}
+
+/**
+ * Return the API key sent in the `X-API-Key` header or as a `Bearer` token, undefined when there is none.
+ * @param {*} headers headers of the request (lower case names, like node's `IncomingMessage.headers`)
+ */
+function apiKeyOf(headers) {
+    if (headers['x-api-key']) {
+        return headers['x-api-key'];
+    }
+    let match = /^Bearer\s+(\S+)$/i.exec(headers.authorization || '');
+    return match ? match[1] : undefined;
+}
+
+class AccessControl {
+
+    /**
+     * `filePath` is the JSON file the keys are stored in (kept in memory only when missing).
+     * `options.anonymousRole` is the role of the requests without a key, `submitter` by default
+     * (every route but the admin ones is open), `none` to require a key everywhere.
+     * @param {*} filePath
+     * @param {*} options
+     */
+    constructor(filePath, options) {
+        options = options || {};
+        let anonymousRole = options.anonymousRole === undefined ? ROLE.SUBMITTER : options.anonymousRole;
+        if (anonymousRole !== 'none' && !ROLES.includes(anonymousRole)) {
+            throw new Error(`Unknown role ${anonymousRole}, expected ${ROLES.join(', ')} or none`);
+        }
+        this.anonymousRole = anonymousRole === 'none' ? null : anonymousRole;
+        this.filePath = filePath ? path.resolve(filePath) : null;
+        this.keys = new Map();                      // Key records by id
+        this.loadedAt = null;                       // Modification time of the file when it was read
+        this._load();
+    }
+
+    /**
+     * Create a key with a role, returns `{ id, name, role, createdAt, key }`.
+     * `key` is the secret to send in the `X-API-Key` header, it can't be retrieved later.
+     * @param {*} name
+     * @param {*} role
+     */
+    createKey(name, role) {
+        if (!ROLES.includes(role)) {
+            throw new Error(`Unknown role ${role}, expected ${ROLES.join(', ')}`);
+        }
+        this._load();
+        let key = crypto.randomBytes(24).toString('hex');
+        let record = {
+            id: crypto.randomBytes(8).toString('hex'),
+            name: name || null,
+            role: role,
+            createdAt: Math.floor(Date.now() / 1000),
+            hash: this._hash(key)
+        };
+        this.keys.set(record.id, record);
+        this._save();
+        return Object.assign(this._view(record), { key: key });
+    }
+
+    /**
+     * Revoke a key, returns false when there is no key with that id.
+     * @param {*} id
+     */
+    revokeKey(id) {
+        this._load();
+        if (!this.keys.delete(id)) {
+            return false;
+        }
+        this._save();
+        return true;
+    }
+
+    listKeys() {
+        this._load();
+        return [...this.keys.values()].map(record => this._view(record));
+    }
+
+    /**
+     * Check a request made with `key` (undefined when the request has none) is allowed to use a route
+     * needing the role `required`. Returns the key record (or null for an anonymous request) and
+     * throws an `AuthError` otherwise.
+     * @param {*} key
+     * @param {*} required
+     */
+    authorize(key, required) {
+        if (!key) {
+            if (!this._allows(this.anonymousRole, required)) {
+                throw new AuthError(AUTH_ERROR.KEY_REQUIRED, `This route needs an API key with the ${required} role`);
+            }
+            return null;
+        }
+        // Keys created with the command-line tool while the node runs are picked up here
+        this._load();
+        let hash = this._hash(key);
+        let record = [...this.keys.values()].find(candidate => candidate.hash === hash);
+        if (!record) {
+            throw new AuthError(AUTH_ERROR.INVALID_KEY, 'Unknown or revoked API key');
+        }
+        if (!this._allows(record.role, required)) {
+            throw new AuthError(AUTH_ERROR.FORBIDDEN, `This route needs the ${required} role, the API key has the ${record.role} role`);
+        }
+        return this._view(record);
+    }
+
+    _allows(role, required) {
+        return !!role && ROLES.indexOf(role) >= ROLES.indexOf(required);
+    }
+
+    _hash(key) {
+        return crypto.createHash('sha256').update(key).digest('hex');
+    }
+
+    _view(record) {
+        return { id: record.id, name: record.name, role: record.role, createdAt: record.createdAt };
+    }
+
+    // Read the file again when it changed since it was last read
+    _load() {
+        if (!this.filePath || !fs.existsSync(this.filePath)) {
+            return;
+        }
+        let modifiedAt = fs.statSync(this.filePath).mtimeMs;
+        if (modifiedAt === this.loadedAt) {
+            return;
+        }
+        let data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+        this.keys = new Map(data.keys.map(record => [record.id, record]));
+        this.loadedAt = modifiedAt;
+    }
+
+    // Written next to the current file and renamed over it (see `FileStore.replace()`)
+    _save() {
+        if (!this.filePath) {
+            return;
+        }
+        let temporaryPath = `${this.filePath}.tmp`;
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+        fs.writeFileSync(temporaryPath, JSON.stringify({ keys: [...this.keys.values()] }, null, 2) + '\n', { mode: 0o600 });
+        fs.renameSync(temporaryPath, this.filePath);
+        this.loadedAt = fs.statSync(this.filePath).mtimeMs;
+    }
+
+}
+
+module.exports.AccessControl = AccessControl;
+module.exports.apiKeyOf = apiKeyOf;
+module.exports.AuthError = AuthError;
+module.exports.AUTH_ERROR = AUTH_ERROR;
+module.exports.ROLE = ROLE;
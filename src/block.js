@@ -9,8 +9,9 @@
  *  run asynchronous.
  */
 
-const SHA256 = require('crypto-js/sha256');
-const hex2ascii = require('hex2ascii');
+const { isBatch, transactionId } = require('./star.js');
+const { merkleRoot } = require('./merkle.js');
+const { hashBlock, parseVersion } = require('./hashing.js');
 
 class Block {
 
@@ -21,6 +22,31 @@ class Block {
         this.body = Buffer.from(JSON.stringify(data)).toString('hex');   // Will contain the transactions stored in the block, by default it will encode the data
         this.time = 0;                                              // Timestamp for the Block creation
         this.previousBlockHash = null;                              // Reference to the previous Block Hash
+        this.nonce = 0;                                             // Proof of work, value that makes the hash meet the difficulty
+        this.difficulty = 0;                                        // Number of leading zeros required in the hash
+        this.merkleRoot = null;                                     // Merkle root of the transactions (batch blocks only)
+    }
+
+    /**
+     *  Compute the hash of the block from the canonical serialization of its header, with the
+     *  hash algorithm recorded in its `version` (see `./hashing.js`). Blocks without a version
+     *  were hashed before the header was versioned and are hashed the legacy way.
+     *  Throws an `UnsupportedVersionError` when the version is unknown.
+     */
+    computeHash() {
+        return hashBlock(this);
+    }
+
+    /**
+     *  Check the version of the block is one this node knows how to hash.
+     */
+    hasSupportedVersion() {
+        try {
+            parseVersion(this.version);
+            return true;
+        } catch (error) {
+            return false;
+        }
     }
 
     /**
@@ -30,9 +56,11 @@ class Block {
      *  Steps:
      *  1. Return a new promise to allow the method be called asynchronous.
      *  2. Save the in auxiliary variable the current hash of the block (`this` represent the block object)
-     *  3. Recalculate the hash of the entire block (Use SHA256 from crypto-js library)
+     *  3. Recalculate the hash of the block header (see `computeHash()`), an unknown version is not valid
      *  4. Compare if the auxiliary hash value is different from the calculated one.
-     *  5. Resolve true or false depending if it is valid or not.
+     *  5. Check the hash meets the difficulty stored in the block (see `hasValidWork()`).
+     *  6. Check the Merkle root matches the transactions of the block (see `hasValidMerkleRoot()`).
+     *  7. Resolve true or false depending if it is valid or not.
      *  Note: to access the class values inside a Promise code you need to create an auxiliary value `let self = this;`
      */
     validate() {
@@ -41,13 +69,10 @@ class Block {
             // Save in auxiliary variable the current block hash   
             let currentHash = self.hash
             // Recalculate the hash of the Block
-            let block = {... self}
-            block.hash = null
-            let recalculatedHash = SHA256(JSON.stringify(block)).toString();
-            block.hash = recalculatedHash
-            if (currentHash !== recalculatedHash) {
+            let recalculatedHash = self.hasSupportedVersion() ? self.computeHash() : null;
+            if (currentHash !== recalculatedHash || !self.hasValidWork() || !self.hasValidMerkleRoot()) {
                 // Returning the Block is not valid                
-                return reject(false)
+                return resolve(false)
             } else {
                 // Returning the Block is valid            
                 return resolve(true)
@@ -55,11 +80,42 @@ class Block {
         });
     }
 
+    /**
+     *  Check the block hash starts with as many zeros as the block difficulty requires.
+     *  Blocks added without mining have a difficulty of 0 (or none at all for blocks created
+     *  before mining was introduced) and always pass this check.
+     */
+    hasValidWork() {
+        let difficulty = this.difficulty || 0;
+        return typeof this.hash === 'string' && this.hash.startsWith('0'.repeat(difficulty));
+    }
+
+    /**
+     *  Check the Merkle root stored in the block is the root of the ids of its transactions
+     *  and that each id matches the content of its transaction. Blocks that aren't batches must
+     *  not have a Merkle root.
+     */
+    hasValidMerkleRoot() {
+        let data;
+        try {
+            data = JSON.parse(Buffer.from(this.body, 'hex').toString('utf8'));
+        } catch (error) {
+            return !this.merkleRoot;
+        }
+        if (!isBatch(data)) {
+            return !this.merkleRoot;
+        }
+        if (data.transactions.some(transaction => transaction.id !== transactionId(transaction))) {
+            return false;
+        }
+        return this.merkleRoot === merkleRoot(data.transactions.map(transaction => transaction.id));
+    }
+
     /**
      *  Auxiliary Method to return the block body (decoding the data)
      *  Steps:
      *  
-     *  1. Use hex2ascii module to decode the data
+     *  1. Decode the hex data as UTF-8 (`hex2ascii` decodes byte by byte and mangles non ASCII characters like `°`)
      *  2. Because data is a javascript object use JSON.parse(string) to get the Javascript Object
      *  3. Resolve with the data and make sure that you don't need to return the data for the `genesis block` 
      *     or Reject with an error.
@@ -71,11 +127,20 @@ class Block {
         // Parse the data to an object to be retrieve.
         // Resolve with the data if the object isn't the Genesis block
         if(this.height && this.height!=1){
-        return JSON.parse(hex2ascii(self.body));
+        return JSON.parse(Buffer.from(self.body, 'hex').toString('utf8'));
         } 
         return null;
     }
 
+    /**
+     *  Rebuild a Block instance from its plain JSON representation (as read back from storage).
+     *  The properties are copied in the order they were stored so the hash of the legacy blocks
+     *  (hashed from the JSON of the whole block) still matches the one computed when they were added.
+     */
+    static fromJSON(data) {
+        return Object.assign(Object.create(Block.prototype), data);
+    }
+
 }
 
 module.exports.Block = Block;                    // Exposing the Block class as a module
\ No newline at end of file
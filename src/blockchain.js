@@ -2,45 +2,135 @@
  *                          Blockchain Class
  *  The Blockchain class contain the basics functions to create your own private blockchain
  *  It uses libraries like `crypto-js` to create the hashes for each block and `bitcoinjs-message` 
- *  to verify a message signature. The chain is stored in the array
- *  `this.chain = [];`. Of course each time you run the application the chain will be empty because and array
- *  isn't a persisten storage method.
+ *  to verify a message signature (see `./signature.js` for the supported address types). The chain is kept in the array `this.chain = [];` and every
+ *  block added is also persisted through a storage backend (see `./storage.js`), so the chain
+ *  is rebuilt from the store each time the application starts.
+ *  The class is an EventEmitter, it emits:
+ *  - `blockAdded` (block) with every block appended to the chain
+ *  - `chainReplaced` (height) when the whole chain is replaced by a longer one received from a peer
+ *  - `chainReorganized` ({ forkHeight, from, to, removed, added, requeued }) when a heavier branch
+ *    received from a peer becomes the canonical chain (see `acceptBlock()`), followed by a `blockAdded`
+ *    for every block of the branch
+ *  - `validationFailed` ({ source, errors }) when a validation of the chain or of a peer block fails
+ *  - `challengeIssued` ({ address, expiresAt }) and `challengeConsumed` ({ address }) for the
+ *    ownership messages
+ *  - `starSubmitted` ({ requestId, address, starId, height }) and `starRejected` ({ requestId, address, code })
+ *    with the outcome of every star submission
+ *  - `chainValidated` ({ source, valid, checked, duration }) after every validation of the chain, `duration` in seconds
+ *  While the maintenance mode is on (see `setMaintenance()`) no block is added to the chain.
  *  
  */
 
-const SHA256 = require('crypto-js/sha256');
+const EventEmitter = require('events');
 const BlockClass = require('./block.js');
-const bitcoinMessage = require('bitcoinjs-message');
-const res = require('express/lib/response');
-const hex2ascii = require('hex2ascii');
-const { response } = require('express');
-class Blockchain {
+const { MemoryStore } = require('./storage.js');
+const { ChainValidator, FAILURE } = require('./validator.js');
+const { Miner, MAX_DIFFICULTY } = require('./miner.js');
+const { ChallengeRegistry } = require('./challenges.js');
+const { validateStar, validateStory, isPrivateStar, starKey, starTransaction, transactionType, isBatch, BATCH_TYPE, STAR_TYPE, StarValidationError, DuplicateStarError } = require('./star.js');
+const { DOCUMENT_TYPE, DuplicateDocumentError, validateDocument, documentMessage, documentTransaction } = require('./document.js');
+const { TRANSFER_TYPE, TRANSFER_ERROR, TransferError, transferMessage, isTransfer } = require('./transfer.js');
+const { REVEAL_TYPE, REVEAL_ERROR, RevealError, revealMessage, isReveal, storyCommitment } = require('./privacy.js');
+const { Mempool } = require('./mempool.js');
+const { merkleRoot, merkleProof } = require('./merkle.js');
+const { blockVersion, migrateLegacyBlock } = require('./hashing.js');
+const { BlockTree, blockWork } = require('./forks.js');
+const { SkyIndex, angularDistance } = require('./sky.js');
+const { findConstellation } = require('./constellations.js');
+const { getNetwork, detectAddressType, verifySignature } = require('./signature.js');
+const { ValidationError, NotFoundError, UnavailableError } = require('./errors.js');
+const { logger } = require('./logger.js');
+
+const MAX_REORGS = 20;                              // Reorganizations kept for `getForks()`
+
+class MaintenanceError extends UnavailableError {
+
+    constructor(reason) {
+        super('MAINTENANCE', `The node is in maintenance${reason ? `: ${reason}` : ''}, no block can be added`, { reason: reason || null });
+        this.reason = reason || null;
+    }
+
+}
+
+class Blockchain extends EventEmitter {
 
     /**
      * Constructor of the class, you will need to setup your chain array and the height
      * of your chain (the length of your chain array).
-     * Also everytime you create a Blockchain class you will need to initialized the chain creating
-     * the Genesis Block.
+     * The chain is loaded from the `store` passed as parameter (an in-memory store by default),
+     * the Genesis Block is only created when the store is empty.
+     * `this.ready` is a Promise that resolves once the chain has been loaded (and the store recovered
+     * from an interrupted write, see `./storage.js`), `this.loaded` tells whether it has.
+     * `options` configures the proof of work:
+     * - `mining`: when true blocks are mined in a worker thread, otherwise they are hashed once (fast path)
+     * - `difficulty`: number of leading zeros required in the hash of a mined block
+     * - `minDifficulty`: lowest difficulty accepted when validating the chain, defaults to `difficulty`
+     *   when mining, 1 when mining with `retarget` (its difficulty can go down) and 0 without mining
+     * - `signatureWindow`: seconds a message issued by `requestMessageOwnershipVerification` stays valid
+     * - `retarget`: `{ window, blockTime }` adjusts the difficulty so the average time (in seconds)
+     *   between the last `window` blocks stays close to `blockTime`
+     * - `batch`: `{ size, interval }` the submitted stars wait in the mempool until `size` stars are
+     *   collected or `interval` seconds passed, then they are sealed in one block (see `./mempool.js`)
+     * - `network`: `bitcoin` (default), `testnet` or `regtest`, the network of the owner addresses
+     * - `hashAlgorithm`: `sha256` (default), `sha256d` or `sha3-256`, the hash of the blocks added by this
+     *   node, recorded in their `version` (see `./hashing.js`). Blocks of any supported version are accepted.
+     * - `maxOrphans`: number of peer blocks whose parent is unknown kept until the parent arrives (see `./forks.js`)
+     * - `finalityDepth`: number of blocks after which a block is final, the side branches further behind
+     *   the tip are pruned and a block forking below it is refused (default 100, see `./forks.js`)
+     * - `logger`: the logger of the node (see `./logger.js`), the shared logger by default
      * The methods in this class will always return a Promise to allow client applications or
      * other backends to call asynchronous functions.
+     * @param {*} store 
+     * @param {*} options 
      */
-    constructor() {
+    constructor(store, options) {
+        super();
         this.chain = [];
         this.height = -1;
-        this.initializeChain();
+        this.store = store || new MemoryStore();
+        this.options = Object.assign({ mining: false, difficulty: 0, retarget: null }, options);
+        if (this.options.minDifficulty === undefined || this.options.minDifficulty === null) {
+            this.options.minDifficulty = !this.options.mining ? 0 : this.options.retarget ? Math.min(1, this.options.difficulty) : this.options.difficulty;
+        }
+        this.network = getNetwork(this.options.network);
+        this.logger = this.options.logger || logger;
+        this.version = blockVersion(this.options.hashAlgorithm);
+        this.miner = new Miner();
+        this.challenges = new ChallengeRegistry({ ttl: this.options.signatureWindow || 300 });
+        this._pendingStars = new Set();             // Coordinates of the stars being added
+        this._pendingTransfers = new Set();         // Ids of the stars being transferred
+        this._pendingReveals = new Set();           // Ids of the private stars being revealed
+        this._pendingDocuments = new Set();         // Digests of the documents being notarized
+        this.mempool = new Mempool(this.options.batch, (transactions, onProgress) => this._sealBatch(transactions, onProgress));
+        this._resetIndexes();
+        this.tree = new BlockTree({ maxOrphans: this.options.maxOrphans, finalityDepth: this.options.finalityDepth });
+        this.reorgs = [];                           // Latest reorganizations, most recent last
+        this._pendingBlock = Promise.resolve();
+        this.maintenance = null;                    // { reason, since } while the maintenance mode is on
+        this.loaded = false;
+        this.ready = this.initializeChain().then(() => {
+            this.loaded = true;
+        });
     }
 
     /**
-     * This method will check for the height of the chain and if there isn't a Genesis Block it will create it.
-     * You should use the `addBlock(block)` to create the Genesis Block
-     * Passing as a data `{data: 'Genesis Block'}`
+     * This method will load the blocks persisted in the store, verifying the hash of each block
+     * and the link with the previous one. If the store is empty it will create the Genesis Block
+     * using `addBlock(block)` passing as a data `{data: 'Genesis Block'}`
      */
     async initializeChain() {
+        let records = await this.store.open();
+        this.chain = records.map(record => this._blockOf(record));
+        let report = await this._validator().run();
+        if (!report.valid) {
+            throw new Error(`Stored chain is corrupted at height ${report.firstCorruptHeight}: ${report.errors[0].message}`);
+        }
+        this.chain.forEach(block => this._indexBlock(block));
+        this.tree.reset(this.chain);
+        this.height = this.chain.length - 1;
         if (this.height === -1) {
             let block = new BlockClass.Block({ data: 'Genesis Block' });
-            block.height==0
             await this._addBlock(block);
-           
         }
     }
 
@@ -62,26 +152,243 @@ class Blockchain {
      * assign the `timestamp` and the correct `height`...At the end you need to 
      * create the `block hash` and push the block into the chain array. Don't for get 
      * to update the `this.height`
+     * The block gets the version of the node, its hash is computed from its canonical header (see `./hashing.js`).
+     * When mining is enabled the hash is searched in a worker thread until it meets the difficulty,
+     * `onProgress` (optional) receives the mining progress.
      * Note: the symbol `_` in the method name indicates in the javascript convention 
      * that this method is a private method. 
      */
-    _addBlock(block) {
+    _addBlock(block, onProgress) {
         let self = this;
-        block.height = self.chain.length;
-        block.time = this._getCurrentTimeStamp();
-        try {
-            return new Promise(async (resolve, reject) => {
+        // Blocks are added one at a time so two concurrent calls never get the same height
+        let adding = self._pendingBlock.then(() => new Promise(async (resolve, reject) => {
+            try {
+                if (self.maintenance) {
+                    return reject(new MaintenanceError(self.maintenance.reason));
+                }
+                block.height = self.chain.length;
+                block.time = self._getCurrentTimeStamp();
                 if (self.chain.length > 0) {
                     block.previousBlockHash = self.chain[self.chain.length - 1].hash;
                 }
-                block.hash = SHA256(JSON.stringify(block)).toString();
+                block.version = self.version;
+                block.hash = null;
+                if (self.options.mining && block.height > 0) {
+                    block.difficulty = self._nextDifficulty();
+                    let work = await self.miner.mine(block, block.difficulty, onProgress);
+                    block.nonce = work.nonce;
+                    block.hash = work.hash;
+                } else {
+                    block.hash = block.computeHash();
+                }
+                await self.store.append(block);
                 self.chain.push(block);
+                self.height = block.height;
+                self._indexBlock(block);
+                self.tree.add(block);
+                self.emit('blockAdded', block);
                 resolve(block);
-            });
-        } catch (error) {
-            console.log(`error when running _addBlock ${error}`)
-            return reject(error);
+            } catch (error) {
+                self.logger.warn('_addBlock failed', { error: error });
+                reject(error);
+            }
+        }));
+        self._pendingBlock = adding.catch(() => {});
+        return adding;
+    }
+
+    /**
+     * Difficulty for the next mined block. Without retargeting it is the configured difficulty,
+     * otherwise the difficulty of the last block goes up by one when the last `window` blocks were
+     * mined in less than half the target `blockTime` (up to `MAX_DIFFICULTY`), and down by one when
+     * they took more than twice (down to `minDifficulty`).
+     */
+    _nextDifficulty() {
+        let options = this.options;
+        let retarget = options.retarget;
+        let lastBlock = this.chain[this.chain.length - 1];
+        if (!retarget || !lastBlock || lastBlock.height === 0) {
+            return options.difficulty;
+        }
+        let window = Math.min(retarget.window || 10, this.chain.length - 1);
+        let current = lastBlock.difficulty || options.difficulty;
+        if (window < 2) {
+            return current;
+        }
+        let first = this.chain[this.chain.length - window];
+        let average = (parseInt(lastBlock.time) - parseInt(first.time)) / (window - 1);
+        if (average < retarget.blockTime / 2) {
+            return Math.min(MAX_DIFFICULTY, current + 1);
         }
+        if (average > retarget.blockTime * 2) {
+            return Math.max(options.minDifficulty, current - 1);
+        }
+        return current;
+    }
+
+    /**
+     * This method will return a Promise that will resolve with the mining configuration and
+     * the progress of the block being mined (`current` is `null` when the miner is idle).
+     */
+    getMiningStatus() {
+        return new Promise((resolve) => {
+            resolve({
+                mining: this.options.mining,
+                difficulty: this._nextDifficulty(),
+                blocksMined: this.miner.blocksMined,
+                current: this.miner.status()
+            });
+        });
+    }
+
+    /**
+     * Switch the maintenance mode on or off. While it's on `_addBlock()`, `acceptBlock()` and
+     * `replaceChain()` reject with a `MaintenanceError`, so do new submissions and transfers.
+     * The blocks being added when it's switched on are finished first.
+     * The method resolves with the maintenance status (see `getMaintenanceStatus()`).
+     * @param {*} enabled 
+     * @param {*} reason shown to the clients whose request is refused
+     */
+    setMaintenance(enabled, reason) {
+        this.maintenance = enabled ? { reason: reason || null, since: this._getCurrentTimeStamp() } : null;
+        return this._pendingBlock.then(() => this.getMaintenanceStatus());
+    }
+
+    /**
+     * Stop the blockchain before the process exits: the stars waiting in the mempool are sealed in a block,
+     * then the maintenance mode is switched on so no other block is started and the store is closed once
+     * the blocks being added are written. The method resolves once the store is closed.
+     */
+    async close() {
+        await this.ready;
+        await this.mempool.flush().catch((error) => this.logger.warn('Unable to seal the pending transactions', { error: error }));
+        await this.setMaintenance(true, 'The node is shutting down');
+        this.challenges.stop();
+        await this.store.close();
+    }
+
+    /**
+     * This method will return a Promise that will resolve with `{ enabled, reason, since }`.
+     */
+    getMaintenanceStatus() {
+        return new Promise((resolve) => {
+            resolve(Object.assign({ enabled: !!this.maintenance, reason: null, since: null }, this.maintenance));
+        });
+    }
+
+    /**
+     * acceptBlock(data) adds a block created by another node (already hashed and mined). The block can
+     * build on any block known by the node, not only on the tip (see `./forks.js`):
+     * - its parent is the tip: the block is appended to the chain (`extended`)
+     * - its parent is another known block: the block is kept on a side branch (`fork`), and when that
+     *   branch becomes heavier than the chain the node switches to it (`reorganized`, see `_switchBranch()`)
+     * - its parent is unknown: the block waits in the orphan pool (`orphan`) and is connected when the
+     *   parent arrives, along with the orphans building on it
+     * - the block is already known (`known`)
+     * A block is checked against its parent: its height is the next one, it passes `block.validate()` and
+     * the chain minimum difficulty, its time isn't older and its signatures are valid. A block more than
+     * `finalityDepth` blocks below the tip is refused, the chain is final at that depth.
+     * The method resolves with `{ status, block }` or rejects with an error explaining why it was refused.
+     * @param {*} data plain object representation of the block
+     * @param {*} context `{ requestId }` of the request that delivered the block (optional)
+     */
+    acceptBlock(data, context) {
+        let self = this;
+        let accepting = self._pendingBlock.then(() => new Promise(async (resolve, reject) => {
+            try {
+                if (self.maintenance) {
+                    return reject(new MaintenanceError(self.maintenance.reason));
+                }
+                let block = self._blockOf(data);
+                if (self.tree.has(block.hash) || self.tree.hasOrphan(block.hash)) {
+                    return resolve({ status: 'known', block: block });
+                }
+                if (block.height === 0) {
+                    return reject(new ValidationError('BLOCK_REJECTED', `Block ${block.hash} is another Genesis Block`));
+                }
+                if (!(await block.validate()) || (block.difficulty || 0) < self.options.minDifficulty) {
+                    return reject(new ValidationError('BLOCK_REJECTED', `Block ${block.hash} is not valid: its hash doesn't match its content or its difficulty`));
+                }
+                if (!self.tree.has(block.previousBlockHash)) {
+                    self.tree.addOrphan(block, self._getCurrentTimeStamp());
+                    return resolve({ status: 'orphan', block: block });
+                }
+                let tip = self.chain[self.chain.length - 1];
+                if (block.height + self.tree.finalityDepth < tip.height) {
+                    return reject(new ValidationError('BLOCK_REJECTED', `Block ${block.hash} forks more than ${self.tree.finalityDepth} blocks below the tip`));
+                }
+                let errors = await self._connectBlock(block);
+                if (errors.length > 0) {
+                    self.emit('validationFailed', { source: 'peerBlock', errors: errors });
+                    return reject(new ValidationError('BLOCK_REJECTED', `Block ${block.hash} is not valid: ${errors[0].message}`, { errors: errors }));
+                }
+                let best = self.tree.tips().reduce((heaviest, candidate) => self.tree.work(candidate.hash) > self.tree.work(heaviest.hash) ? candidate : heaviest, tip);
+                if (best === tip) {
+                    return resolve({ status: 'fork', block: block });
+                }
+                let status = await self._switchBranch(best);
+                resolve({ status: status, block: block });
+            } catch (error) {
+                self._log(context).warn('acceptBlock failed', { error: error });
+                reject(error);
+            }
+        }));
+        self._pendingBlock = accepting.catch(() => {});
+        return accepting;
+    }
+
+    /**
+     * replaceChain(records) adopts the chain received from a peer when it has more cumulative work than
+     * the local chain (see `blockWork()`, the longest chain when blocks aren't mined) and is fully valid
+     * (see `ChainValidator`, which also checks each hash meets its difficulty). The store and the indexes
+     * are rebuilt from it.
+     * The method resolves with the new height or rejects when the chain is refused.
+     * @param {*} records plain object representations of the blocks, Genesis Block first
+     * @param {*} context `{ requestId }` of the request that led to the sync (optional)
+     */
+    replaceChain(records, context) {
+        let self = this;
+        let replacing = self._pendingBlock.then(() => new Promise(async (resolve, reject) => {
+            try {
+                if (self.maintenance) {
+                    return reject(new MaintenanceError(self.maintenance.reason));
+                }
+                let work = records.reduce((total, record) => total + blockWork(record), 0);
+                let localWork = self.tree.work(self.chain[self.chain.length - 1].hash);
+                if (work <= localWork) {
+                    return reject(new ValidationError('CHAIN_REJECTED', `Chain with a work of ${work} is not heavier than the local chain (${localWork})`));
+                }
+                let candidate = records.map(record => self._blockOf(record));
+                let report = await self._validator(candidate).run();
+                if (!report.valid) {
+                    self.emit('validationFailed', { source: 'peerChain', errors: report.errors });
+                    return reject(new ValidationError('CHAIN_REJECTED', `Chain is not valid at height ${report.firstCorruptHeight}: ${report.errors[0].message}`, { errors: report.errors }));
+                }
+                await self.store.replace(candidate);
+                self.chain = candidate;
+                self.height = candidate.length - 1;
+                self._resetIndexes();
+                self.chain.forEach(block => self._indexBlock(block));
+                self.tree.reset(self.chain);
+                self.emit('chainReplaced', self.height);
+                resolve(self.height);
+            } catch (error) {
+                self._log(context).warn('replaceChain failed', { error: error });
+                reject(error);
+            }
+        }));
+        self._pendingBlock = replacing.catch(() => {});
+        return replacing;
+    }
+
+    /**
+     * This method will return a Promise that will resolve with the blocks (as stored) with a
+     * height greater or equal to `height`, used by peers to pull the blocks they are missing.
+     * @param {*} height 
+     */
+    async getBlocksSince(height) {
+        await this.ready;
+        return this.chain.slice(Math.max(0, height));
     }
 
     /**
@@ -89,95 +396,404 @@ class Blockchain {
      * will allow you  to request a message that you will use to
      * sign it with your Bitcoin Wallet (Electrum or Bitcoin Core)
      * This is the first step before submit your Block.
-     * The method return a Promise that will resolve with the message to be signed
+     * The message contains a random nonce and is remembered by the node until it expires,
+     * it can be used only once and only by the address it was issued to.
+     * The method return a Promise that will resolve with `{ message, nonce, expiresAt, addressType }`
+     * or reject with a `SignatureError` when the address isn't a usable address of the network.
      * @param {*} address 
      */
     requestMessageOwnershipVerification(address) {
-        return new Promise((resolve) => {
-            resolve(`${address}:${this._getCurrentTimeStamp()}:starRegistry`)
+        return new Promise((resolve, reject) => {
+            let addressType;
+            try {
+                addressType = detectAddressType(address, this.network);
+            } catch (error) {
+                return reject(error);
+            }
+            let challenge = this.challenges.issue(address);
+            this.emit('challengeIssued', { address: address, expiresAt: challenge.expiresAt });
+            resolve(Object.assign(challenge, { addressType: addressType }));
         });
     }
 
     /**
      * The submitStar(address, message, signature, star) method
-     * will allow users to register a new Block with the star object
-     * into the chain. This method will resolve with the Block added or
-     * reject with an error.
+     * will allow users to register a star into the chain. The star transaction waits in the mempool
+     * and is sealed with the other pending stars in a new Block. This method will resolve with the
+     * Block added or reject with an error.
      * Algorithm steps:
-     * 1. Get the time from the message sent as a parameter example: `parseInt(message.split(':')[1])`
-     * 2. Get the current time: `let currentTime = parseInt(new Date().getTime().toString().slice(0, -3));`
-     * 3. Check if the time elapsed is less than 5 minutes
-     * 4. Veify the message with wallet address and signature: `bitcoinMessage.verify(message, address, signature)`
-     * 5. Create the block and add it to the chain
-     * 6. Resolve with the block added.
+     * 0. Validate the star coordinates and story, and check the star isn't registered yet,
+     *    otherwise reject with a `StarValidationError` or a `DuplicateStarError`
+     * 1. Check the message is a challenge issued to the address that hasn't expired nor been used,
+     *    otherwise reject with a `ChallengeError` (see `./challenges.js` for the error codes)
+     * 2. Veify the message with wallet address and signature: `verifySignature(message, address, signature, network)`,
+     *    otherwise reject with a `SignatureError` telling the detected address type and the reason
+     * 3. Mark the challenge as used so the signed message can't be replayed
+     * 4. Create the star transaction and add it to the mempool
+     * 5. Resolve with the block the transaction was sealed in.
+     * The outcome is logged and emitted (`starSubmitted` or `starRejected`) with the `requestId` of the context.
      * @param {*} address 
      * @param {*} message 
      * @param {*} signature 
      * @param {*} star 
+     * @param {*} onProgress called with the mining progress when mining is enabled
+     * @param {*} context `{ requestId }` of the request submitting the star (optional)
      */
-    submitStar(address, message, signature, star) {
+    submitStar(address, message, signature, star, onProgress, context) {
+        let self = this;
+        let requestId = (context && context.requestId) || null;
+        let log = self._log(context);
+        let submission = new Promise(async (resolve, reject) => {
+            let key = null;
+            try {
+                await self.ready;
+                if (self.maintenance) {
+                    return reject(new MaintenanceError(self.maintenance.reason));
+                }
+                let starErrors = validateStar(star);
+                if (starErrors.length > 0) {
+                    return reject(new StarValidationError(starErrors));
+                }
+
+                self.challenges.check(message, address);
+                verifySignature(message, address, signature, self.network);
+                key = starKey(star);
+                if (self.starIndex.has(key) || self._pendingStars.has(key)) {
+                    // The index gives the id of the star transaction, the error names its block
+                    let location = self.starLocations.get(self.starIndex.get(key));
+                    key = null;
+                    return reject(new DuplicateStarError(location ? self.chain[location.height].hash : null));
+                }
+                self._consumeChallenge(message, address);
+                self._pendingStars.add(key);
+
+                let transaction = starTransaction(address, star, message, signature);
+                log.debug('Star transaction added to the mempool', { address: address, starId: transaction.id });
+                let block = await self.mempool.add(transaction, onProgress);
+                log.info('Star registered', { address: address, starId: transaction.id, height: block.height });
+                self.emit('starSubmitted', { requestId: requestId, address: address, starId: transaction.id, height: block.height });
+                resolve(block);
+            } catch (error) {
+                reject(error)
+            } finally {
+                self._pendingStars.delete(key);
+            }
+        });
+        submission.catch((error) => {
+            log.warn('Star submission refused', { address: address, code: error.code || null, error: error });
+            self.emit('starRejected', { requestId: requestId, address: address, code: error.code || null });
+        });
+        return submission;
+    }
+
+    /**
+     * The notarizeDocument(address, message, signature, document, onProgress) method will allow users
+     * to prove a document existed at a time by anchoring its digest in the chain (see `./document.js`).
+     * The document transaction waits in the mempool and is sealed with the pending stars in a new Block.
+     * Algorithm steps:
+     * 1. Validate the document `{ digest, size }`, otherwise reject with a `ValidationError`
+     * 2. Check the message is a challenge issued to the address (see `submitStar`)
+     * 3. Verify the signature of `documentMessage(message, digest)` with the address
+     * 4. Check the digest isn't notarized yet, otherwise reject with a `DuplicateDocumentError`
+     * 5. Mark the challenge as used, create the document transaction and add it to the mempool
+     * 6. Resolve with the block the transaction was sealed in.
+     * @param {*} address 
+     * @param {*} message 
+     * @param {*} signature 
+     * @param {*} document 
+     * @param {*} onProgress called with the mining progress when mining is enabled
+     * @param {*} context `{ requestId }` of the request notarizing the document (optional)
+     */
+    notarizeDocument(address, message, signature, document, onProgress, context) {
         let self = this;
-        let validElapsedTime=300;
-        try {
         return new Promise(async (resolve, reject) => {
-           
-                this.validateChain().then(errors => {
-                    if (errors.length > 0) {
-                        return reject(errors);
-                    } else {
-                        return resolve(block);
-                    }
-                });
-
-                let incomingTime = parseInt(message.split(':')[1]);
-                let currentTime = parseInt(this._getCurrentTimeStamp());
-                if (currentTime - incomingTime > validElapsedTime) {
-                    reject("time elapsed. Please generated a new message and a new signature")
-                }
-                if (!bitcoinMessage.verify(message, address, signature)) {
-                    reject("can not verify signature")
-                }
-
-                let block = new BlockClass.Block(star)
-                block.address = address
-                this._addBlock(block)
-                resolve(block)            
+            let digest = null;
+            try {
+                if (self.maintenance) {
+                    return reject(new MaintenanceError(self.maintenance.reason));
+                }
+                let documentErrors = validateDocument(document);
+                if (documentErrors.length > 0) {
+                    return reject(new ValidationError('INVALID_DOCUMENT', `Invalid document: ${documentErrors.map(e => `${e.field} ${e.message}`).join(', ')}`, { errors: documentErrors }));
+                }
+
+                self.challenges.check(message, address);
+                verifySignature(documentMessage(message, document.digest), address, signature, self.network);
+                if (self.documentIndex.has(document.digest) || self._pendingDocuments.has(document.digest)) {
+                    let location = self.documentIndex.get(document.digest);
+                    return reject(new DuplicateDocumentError(location ? self.chain[location.height].hash : null));
+                }
+                self._consumeChallenge(message, address);
+                digest = document.digest;
+                self._pendingDocuments.add(digest);
+
+                let transaction = documentTransaction(address, document, message, signature);
+                resolve(await self.mempool.add(transaction, onProgress))
+            } catch (error) {
+                self._log(context).warn('notarizeDocument failed', { error: error });
+                reject(error)
+            } finally {
+                self._pendingDocuments.delete(digest);
+            }
         });
-    } catch (error) {
-        console.log(`error when running submitStar ${error}`)
-        reject(error)
     }
+
+    /**
+     * This method will return a Promise that will resolve with the proof that the document with the
+     * SHA256 `digest` existed when its block was added:
+     * `{ digest, id, owner, time, block: { height, hash, time }, transaction, leaf, proof, merkleRoot }`
+     * where `time` is the time of the block, and `leaf`, `proof` and `merkleRoot` are the Merkle
+     * inclusion proof of the transaction (see `getStarProof()`).
+     * Resolves with `null` when the document isn't notarized.
+     * @param {*} digest 
+     */
+    async getDocumentProof(digest) {
+        await this.ready;
+        let location = this.documentIndex.get(digest);
+        if (!location) {
+            return null;
+        }
+        let block = this.chain[location.height];
+        let transactions = this._blockData(block).transactions;
+        let leaves = transactions.map(transaction => transaction.id);
+        let transaction = transactions[location.position];
+        return {
+            digest: digest,
+            id: transaction.id,
+            owner: transaction.owner,
+            time: block.time,
+            block: { height: block.height, hash: block.hash, time: block.time },
+            transaction: transaction,
+            leaf: leaves[location.position],
+            proof: merkleProof(leaves, location.position),
+            merkleRoot: block.merkleRoot
+        };
     }
 
     /**
-     * This method will return a Promise that will resolve with the Block
-     *  with the hash passed as a parameter.
-     * Search on the chain array for the block that has the hash.
-     * @param {*} hash 
+     * The transferStar(address, message, signature, starHash, to) method will allow the current
+     * owner of a star to give it to another address. The transfer is stored as a new block.
+     * `starHash` is the id of the star (see `./star.js`).
+     * Algorithm steps:
+     * 1. Check the star `starHash` exists and `to` is another address
+     * 2. Check the message is a challenge issued to `address` (see `submitStar`)
+     * 3. Verify the signature of `transferMessage(message, starHash, to)` with the address
+     * 4. Check the address is the current owner of the star
+     * 5. Mark the challenge as used, create the transfer block and add it to the chain
+     * The method resolves with the block added or rejects with a `TransferError`, a `ChallengeError`
+     * or a `SignatureError`.
+     * @param {*} address 
+     * @param {*} message 
+     * @param {*} signature 
+     * @param {*} starHash 
+     * @param {*} to 
+     * @param {*} context `{ requestId }` of the request transferring the star (optional)
      */
-    getBlockByHash(hash) {
+    transferStar(address, message, signature, starHash, to, context) {
         let self = this;
-        return new Promise((resolve, reject) => {
+        return new Promise(async (resolve, reject) => {
+            let pending = false;
+            try {
+                await self.ready;
+                if (self.maintenance) {
+                    return reject(new MaintenanceError(self.maintenance.reason));
+                }
+                if (!self.starOwners.has(starHash)) {
+                    return reject(new TransferError(TRANSFER_ERROR.STAR_NOT_FOUND, `No star registered with id ${starHash}`));
+                }
+                if (!to || to === address) {
+                    return reject(new TransferError(TRANSFER_ERROR.INVALID_RECIPIENT, 'The new owner must be another address'));
+                }
+                self.challenges.check(message, address);
+                verifySignature(transferMessage(message, starHash, to), address, signature, self.network);
+                if (self.starOwners.get(starHash) !== address) {
+                    return reject(new TransferError(TRANSFER_ERROR.NOT_OWNER, 'Only the current owner can transfer the star'));
+                }
+                if (self._pendingTransfers.has(starHash)) {
+                    return reject(new TransferError(TRANSFER_ERROR.TRANSFER_PENDING, 'Another transfer of the star is being added'));
+                }
+                self._consumeChallenge(message, address);
+                self._pendingTransfers.add(starHash);
+                pending = true;
 
-            let result = this.chain.filter(block => block.hash === hash);
-            if (result.length > 0) {
-                let block = result[0]
-                let responseBlock = { ...block };
-                responseBlock.star = this._hexToJSON(responseBlock.body)
-                responseBlock.owner = responseBlock.address
-                delete responseBlock.body
-                delete responseBlock.address
-                delete responseBlock.hash
-                delete responseBlock.height
-                delete responseBlock.time
-                delete responseBlock.previousBlockHash
-                resolve(responseBlock)
-            } else {
-                reject(`No block found for hash ${hash}`)
+                let block = new BlockClass.Block({ type: TRANSFER_TYPE, star: starHash, from: address, to: to, message: message, signature: signature });
+                block.address = address;
+                resolve(await self._addBlock(block));
+            } catch (error) {
+                self._log(context).warn('transferStar failed', { error: error });
+                reject(error)
+            } finally {
+                if (pending) {
+                    self._pendingTransfers.delete(starHash);
+                }
+            }
+        });
+    }
+
+    /**
+     * The revealStar(address, message, signature, starId, story, salt) method will allow the current
+     * owner of a private star to disclose its story (see `./privacy.js`). The reveal is stored as a new block.
+     * Algorithm steps:
+     * 1. Check the star `starId` exists, is private and its story hasn't been revealed yet
+     * 2. Check the story is valid and matches the commitment of the star with the salt
+     * 3. Check the message is a challenge issued to `address` (see `submitStar`)
+     * 4. Verify the signature of `revealMessage(message, starId)` with the address
+     * 5. Check the address is the current owner of the star
+     * 6. Mark the challenge as used, create the reveal block and add it to the chain
+     * The method resolves with the block added or rejects with a `RevealError`, a `StarValidationError`,
+     * a `ChallengeError` or a `SignatureError`.
+     * @param {*} address 
+     * @param {*} message 
+     * @param {*} signature 
+     * @param {*} starId 
+     * @param {*} story 
+     * @param {*} salt 
+     * @param {*} context `{ requestId }` of the request revealing the story (optional)
+     */
+    revealStar(address, message, signature, starId, story, salt, context) {
+        let self = this;
+        return new Promise(async (resolve, reject) => {
+            let pending = false;
+            try {
+                await self.ready;
+                if (self.maintenance) {
+                    return reject(new MaintenanceError(self.maintenance.reason));
+                }
+                let record = self._starRecord(starId);
+                if (!record) {
+                    return reject(new RevealError(REVEAL_ERROR.STAR_NOT_FOUND, `No star registered with id ${starId}`));
+                }
+                if (!isPrivateStar(record.star)) {
+                    return reject(new RevealError(REVEAL_ERROR.NOT_PRIVATE, 'The story of the star is already public'));
+                }
+                if (self.starReveals.has(starId) || self._pendingReveals.has(starId)) {
+                    return reject(new RevealError(REVEAL_ERROR.ALREADY_REVEALED, 'The story of the star has already been revealed'));
+                }
+                let storyErrors = validateStory(story);
+                if (storyErrors.length > 0) {
+                    return reject(new StarValidationError(storyErrors));
+                }
+                if (storyCommitment(story, salt) !== record.star.private.commitment) {
+                    return reject(new RevealError(REVEAL_ERROR.COMMITMENT_MISMATCH, 'The story and the salt don\'t match the commitment of the star'));
+                }
+                self.challenges.check(message, address);
+                verifySignature(revealMessage(message, starId), address, signature, self.network);
+                if (self.starOwners.get(starId) !== address) {
+                    return reject(new RevealError(REVEAL_ERROR.NOT_OWNER, 'Only the current owner can reveal the story'));
+                }
+                self._consumeChallenge(message, address);
+                self._pendingReveals.add(starId);
+                pending = true;
+
+                let block = new BlockClass.Block({ type: REVEAL_TYPE, star: starId, from: address, story: story, salt: salt, message: message, signature: signature });
+                block.address = address;
+                resolve(await self._addBlock(block));
+            } catch (error) {
+                self._log(context).warn('revealStar failed', { error: error });
+                reject(error)
+            } finally {
+                if (pending) {
+                    self._pendingReveals.delete(starId);
+                }
+            }
+        });
+    }
+
+    /**
+     * This method will return a Promise that will resolve with the star `starId` with its current owner
+     * and the metadata of the block it was registered in (see `_starView()`), `null` when unknown.
+     * @param {*} starId 
+     */
+    async getStar(starId) {
+        await this.ready;
+        let record = this._starRecord(starId);
+        return record ? this._starView(record) : null;
+    }
+
+    /**
+     * This method will return a Promise that will resolve with the provenance of the star `starHash`
+     * (the id of the star): its registration followed by every transfer and the reveal of its story, oldest first.
+     * Resolves with `null` when no star is registered with that id.
+     * @param {*} starHash 
+     */
+    async getStarHistory(starHash) {
+        await this.ready;
+        let heights = this.starHistory.get(starHash);
+        if (!heights) {
+            return null;
+        }
+        return heights.map(height => {
+            let block = this.chain[height];
+            let data = this._blockData(block);
+            if (isTransfer(data)) {
+                return { type: 'transfer', height: block.height, hash: block.hash, time: block.time, from: data.from, to: data.to };
+            }
+            if (isReveal(data)) {
+                return { type: 'reveal', height: block.height, hash: block.hash, time: block.time, from: data.from };
             }
+            let record = this._starRecord(starHash);
+            return { type: 'registration', height: block.height, hash: block.hash, time: block.time, owner: record.owner };
         });
     }
 
+    /**
+     * This method will return a Promise that will resolve with the Merkle inclusion proof of the
+     * star `starId` registered in a batch block:
+     * `{ transaction, leaf, proof, merkleRoot, header }` where `header` is the block without its body.
+     * A light client recomputes the leaf from the transaction (see `transactionId()`) and checks it
+     * leads to the `merkleRoot` of the header with `verifyProof()` from `./merkle.js`.
+     * Resolves with `null` when the star doesn't exist or was registered before batching.
+     * @param {*} starId 
+     */
+    async getStarProof(starId) {
+        await this.ready;
+        let record = this._starRecord(starId);
+        if (!record || record.position === null) {
+            return null;
+        }
+        let block = record.block;
+        let leaves = this._blockData(block).transactions.map(transaction => transaction.id);
+        let header = { ...block };
+        delete header.body;
+        delete header.address;
+        return {
+            transaction: this._blockData(block).transactions[record.position],
+            leaf: leaves[record.position],
+            proof: merkleProof(leaves, record.position),
+            merkleRoot: block.merkleRoot,
+            header: header
+        };
+    }
+
+    /**
+     * This method will return a Promise that will resolve with the Block
+     *  with the hash passed as a parameter.
+     * Search on the chain array for the block that has the hash.
+     * With `options.metadata` the block is returned with its full metadata (see `_blockView()`).
+     * @param {*} hash 
+     * @param {*} options 
+     */
+    async getBlockByHash(hash, options) {
+        await this.ready;
+        let block = this.hashIndex.has(hash) ? this.chain[this.hashIndex.get(hash)] : null;
+        if (!block) {
+            throw new NotFoundError('BLOCK_NOT_FOUND', `No block found for hash ${hash}`);
+        }
+        if (options && options.metadata) {
+            return this._blockView(block);
+        }
+        let responseBlock = { ...block };
+        responseBlock.star = this._blockData(block)
+        responseBlock.owner = responseBlock.address
+        delete responseBlock.body
+        delete responseBlock.address
+        delete responseBlock.hash
+        delete responseBlock.height
+        delete responseBlock.time
+        delete responseBlock.previousBlockHash
+        return responseBlock;
+    }
+
 
 
     /**
@@ -185,88 +801,672 @@ class Blockchain {
      * with the height equal to the parameter `height`
      * @param {*} height 
      */
-    getBlockByHeight(height) {
-        let self = this;
-        return new Promise((resolve, reject) => {
-            let block = self.chain.filter(p => p.height === height)[0];
-            if (block ) {
-                let obj = { ...block };
-                resolve(obj);
-            } else {
-                resolve(null);
-            }
-        });
+    async getBlockByHeight(height) {
+        await this.ready;
+        let block = this.chain[height];
+        return block ? { ...block } : null;
     }
 
     /**
      * This method will return a Promise that will resolve with an array of Stars objects existing in the chain 
      * and are belongs to the owner with the wallet address passed as parameter.
+     * The current owner of each star is resolved by replaying its transfers.
      * Remember the star should be returned decoded.
+     * With `options.metadata` each star is returned with its id and block metadata (see `_starView()`).
      * @param {*} address 
+     * @param {*} options 
      */
-    getStarsByWalletAddress(address) {
-        let self = this;
-        let stars = [];
-        return new Promise((resolve, reject) => {
-            let response = [... this.chain.filter(block => block.address === address)]
-            if (response && response.length > 0) {
-                response.forEach(r => {
-                    let s = r.body
-                    r.owner = r.address
-                    r.star = this._hexToJSON(s)
-                    delete r.body
-                    delete r.address
-                    delete r.hash
-                    delete r.height
-                    delete r.time
-                    delete r.previousBlockHash
-                })
-                resolve(response)
-            } else {
-                reject(`No block found for address ${address}`)
+    async getStarsByWalletAddress(address, options) {
+        await this.ready;
+        let records = [...(this.ownerStars.get(address) || [])].map(starId => this._starRecord(starId));
+        records.sort((a, b) => (a.block.height - b.block.height) || (a.position - b.position));
+        return records.map(record => options && options.metadata ? this._starView(record) : { owner: address, star: record.star });
+    }
+
+    /**
+     * This method will return a Promise that will resolve with a page of the stars found in a region
+     * of the sky, closest first: `{ stars, nextCursor }`. `query` accepts (positions in degrees, see `./sky.js`):
+     * - `ra`, `dec` and `radius`: the stars at most `radius` degrees away from (`ra`, `dec`)
+     * - `raMin`, `raMax`, `decMin` and `decMax`: the stars in the box (it wraps around 0h when `raMin` is greater than `raMax`)
+     * - `constellation`: the stars in the constellation, by abbreviation or name (see `./constellations.js`)
+     * - `cursor`: position of the first star of the page (the `nextCursor` of the previous page) and `limit`
+     * The criteria can be combined. The stars are sorted by angular distance to (`ra`, `dec`), or to the
+     * center of the box, or to the center of the stars found when the query has neither.
+     * Each star is `{ id, blockHash, height, owner, currentOwner, star, position: { ra, dec }, constellation, distance }`.
+     * Rejects with a `ValidationError` when the constellation is unknown.
+     * @param {*} query
+     */
+    async searchStars(query) {
+        await this.ready;
+        let limit = query.limit || 20;
+        let cursor = query.cursor || 0;
+        let constellation = null;
+        if (query.constellation !== undefined) {
+            constellation = findConstellation(query.constellation);
+            if (!constellation) {
+                throw new ValidationError('UNKNOWN_CONSTELLATION', `Unknown constellation ${query.constellation}, expected an IAU abbreviation or name`);
             }
+        }
+        let searches = [];
+        if (query.radius !== undefined) {
+            searches.push(this.skyIndex.cone(query.ra, query.dec, query.radius));
+        }
+        if (query.raMin !== undefined) {
+            searches.push(this.skyIndex.box(query.raMin, query.raMax, query.decMin, query.decMax));
+        }
+        if (constellation) {
+            searches.push(this.skyIndex.constellation(constellation));
+        }
+        // The stars found by every criterion, searched from the smallest result
+        searches.sort((a, b) => a.length - b.length);
+        let others = searches.slice(1).map(entries => new Set(entries.map(entry => entry.id)));
+        let entries = (searches[0] || []).filter(entry => others.every(ids => ids.has(entry.id)));
+        let center = this._searchCenter(query, entries);
+        entries = entries
+            .map(entry => Object.assign({}, entry, { distance: angularDistance(center.ra, center.dec, entry.ra, entry.dec) }))
+            .sort((a, b) => (a.distance - b.distance) || (a.id < b.id ? -1 : a.id > b.id ? 1 : 0));
+        let stars = entries.slice(cursor, cursor + limit).map(entry => {
+            let record = this._starRecord(entry.id);
+            return {
+                id: entry.id,
+                blockHash: record.block.hash,
+                height: record.block.height,
+                owner: record.owner,
+                currentOwner: this.starOwners.get(entry.id),
+                star: record.star,
+                position: { ra: entry.ra, dec: entry.dec },
+                constellation: entry.constellation,
+                distance: entry.distance
+            };
         });
+        return { stars: stars, nextCursor: cursor + limit < entries.length ? cursor + limit : null };
     }
 
     /**
-     * This method will return a Promise that will resolve with the list of errors when validating the chain.
-     * Steps to validate:
-     * 1. You should validate each block using `validateBlock`
-     * 2. Each Block should check the with the previousBlockHash
+     * This method will return a Promise that will resolve with a page of blocks, each one with its
+     * full metadata and its decoded content (see `_blockView()`): `{ blocks, nextCursor }`.
+     * `query` accepts:
+     * - `cursor`: height to start from (the `nextCursor` of the previous page)
+     * - `limit`: maximum number of blocks in the page
+     * - `order`: `asc` (oldest first, default) or `desc`
+     * - `since` / `until`: time range (timestamps in seconds, inclusive)
+     * - `owner`: only blocks added by this address, registering one of its stars or transferring a star to it
+     * - `q`: only stars whose story contains this text (case insensitive)
+     * @param {*} query 
      */
+    async getBlocks(query) {
+        await this.ready;
+        query = query || {};
+        let limit = query.limit || 20;
+        let descending = query.order === 'desc';
+        let step = descending ? -1 : 1;
+        let start = query.cursor !== undefined ? query.cursor : this.chain.length - 1;
+        start = descending ? Math.min(start, this.chain.length - 1) : (query.cursor !== undefined ? start : 0);
+        let text = query.q ? query.q.toLowerCase() : null;
+        // With an owner only the heights of its blocks are visited, otherwise every height from the cursor
+        let heights = query.owner ? (this.ownerIndex.get(query.owner) || []) : null;
+        let position = heights ? this._positionOf(heights, start, descending) : start;
+        let count = heights ? heights.length : this.chain.length;
+        let blocks = [];
+        for (; position >= 0 && position < count && blocks.length < limit; position += step) {
+            let block = this.chain[heights ? heights[position] : position];
+            let time = parseInt(block.time);
+            if ((query.since !== undefined && time < query.since) || (query.until !== undefined && time > query.until)) {
+                continue;
+            }
+            let view = this._blockView(block);
+            if (text && !this._starTransactions(block).some(record => typeof record.star.story === 'string' && record.star.story.toLowerCase().includes(text))) {
+                continue;
+            }
+            blocks.push(view);
+        }
+        let nextCursor = null;
+        if (position >= 0 && position < count) {
+            nextCursor = heights ? heights[position] : position;
+        }
+        return { blocks: blocks, nextCursor: nextCursor };
+    }
 
-    validateChain() {
+    /**
+     * This method will return a Promise that will resolve with statistics about the chain:
+     * height, number of blocks, stars and transfers, number of distinct current owners,
+     * hash of the latest block and average time (in seconds) between two blocks.
+     */
+    async getChainStats() {
+        await this.ready;
         let chain = this.chain;
-        let errorLog = [];
-        return new Promise(async (resolve, reject) => {
-                try{
-                    for (let i = 1; i < chain.length; i++) {
-                    let currentBlock = chain[i];
-                    let currentBlockMessage =   currentBlock.validate()
-                    currentBlockMessage.then((message) => {
-                        if (!message) {
-                            errorLog.push(`At index ${i} Block is not valid`)
-                        }
-                        let previousBlock = chain[i - 1]
-                        let previousuBlockMessage =  previousBlock.validate()
-                        previousuBlockMessage.then((message) => {
-                            if (!message) {
-                                errorLog.push(`At index ${previousBlock} Block is not valid`)
-                            }
-                        })
-                    })
-                }
-                return resolve(errorLog);
-                }
-                catch (error) {
-                    console.log(`error when running submitStar ${error}`)
-                    reject(error)
-                }             
+        let latest = chain[chain.length - 1];
+        let interval = null;
+        if (chain.length > 2) {
+            // The Genesis Block is left out, it can be much older than the first star
+            interval = (parseInt(latest.time) - parseInt(chain[1].time)) / (chain.length - 2);
+        }
+        return {
+            height: this.height,
+            blocks: chain.length,
+            stars: this.starOwners.size,
+            transfers: this.transferCount,
+            documents: this.documentIndex.size,
+            uniqueOwners: this.ownerStars.size,
+            latestHash: latest ? latest.hash : null,
+            averageBlockInterval: interval
+        };
+    }
+
+    /**
+     * This method will return a Promise that will resolve with the branches known by the node:
+     * `{ tip: { height, hash, work }, branches: [{ forkHeight, tip: { height, hash }, length, work }], orphans, reorgs }`
+     * where `branches` are the side branches competing with the chain (heaviest first), `orphans` the
+     * blocks waiting for their parent `[{ height, hash, previousBlockHash, receivedAt }]` and `reorgs`
+     * the latest reorganizations (see the `chainReorganized` event), most recent last.
+     */
+    async getForks() {
+        await this.ready;
+        let tip = this.chain[this.chain.length - 1];
+        let branches = this.tree.tips().filter(block => this.hashIndex.get(block.hash) !== block.height).map(block => {
+            let path = this.tree.path(block.hash);
+            let forkHeight = block.height;
+            while (forkHeight > 0 && this.hashIndex.get(path[forkHeight].hash) !== forkHeight) {
+                forkHeight--;
+            }
+            return {
+                forkHeight: forkHeight,
+                tip: { height: block.height, hash: block.hash },
+                length: block.height - forkHeight,
+                work: this.tree.work(block.hash)
+            };
         });
+        return {
+            tip: { height: tip.height, hash: tip.hash, work: this.tree.work(tip.hash) },
+            branches: branches.sort((a, b) => b.work - a.work),
+            orphans: this.tree.getOrphans().map(orphan => ({ height: orphan.block.height, hash: orphan.block.hash, previousBlockHash: orphan.block.previousBlockHash, receivedAt: orphan.receivedAt })),
+            reorgs: this.reorgs
+        };
+    }
+
+    /**
+     * This method will return a Promise that will resolve with the validation report of the chain
+     * (or of the blocks with height between `from` and `to`). See `ChainValidator.run()` for the
+     * format of the report.
+     * @param {*} from 
+     * @param {*} to 
+     */
+    async getValidationReport(from, to) {
+        await this.ready;
+        let start = process.hrtime.bigint();
+        let report = await this._validator().run(from, to);
+        this.emit('chainValidated', { source: 'chain', valid: report.valid, checked: report.checked, duration: Number(process.hrtime.bigint() - start) / 1e9 });
+        if (!report.valid) {
+            this.emit('validationFailed', { source: 'chain', errors: report.errors });
+        }
+        return report;
+    }
+
+    /**
+     * This method will return a Promise that will resolve with the list of errors when validating the chain.
+     * Every block (Genesis Block included) is validated using `block.validate()` and checked against
+     * the previous block hash, height and timestamp.
+     */
+    async validateChain() {
+        let report = await this.getValidationReport();
+        return report.errors;
+    }
+
+    /**
+     * Update the indexes with the block added to the chain. It runs synchronously right after the
+     * block is pushed to the chain so readers never see the chain and the indexes out of step:
+     * - every block is added to the hash and owner indexes
+     * - a star registration is added to the index of registered stars (the first registration wins)
+     *   and to the owners indexes
+     * - a transfer moves the star to its new owner when it comes from the current owner
+     * - a reveal discloses the story of a private star when it comes from the current owner and
+     *   matches the commitment of the star
+     * - a document transaction is added to the index of notarized documents (the first one wins)
+     * @param {*} block 
+     */
+    _indexBlock(block) {
+        this.hashIndex.set(block.hash, block.height);
+        if (block.height === 0) {
+            return;
+        }
+        let data;
+        try {
+            data = this._blockData(block);
+        } catch (error) {
+            return;
+        }
+        if (isTransfer(data)) {
+            this._indexOwnerBlock(block.address, block.height);
+            this._indexOwnerBlock(data.to, block.height);
+            this.transferCount++;
+            if (this.starOwners.get(data.star) === data.from) {
+                this.starOwners.set(data.star, data.to);
+                this.starHistory.get(data.star).push(block.height);
+                this._removeOwnerStar(data.from, data.star);
+                this._addOwnerStar(data.to, data.star);
+            }
+            return;
+        }
+        if (isReveal(data)) {
+            this._indexOwnerBlock(block.address, block.height);
+            let record = this._starRecord(data.star);
+            if (record && isPrivateStar(record.star) && !this.starReveals.has(data.star) && this.starOwners.get(data.star) === data.from
+                && storyCommitment(data.story, data.salt) === record.star.private.commitment) {
+                this.starReveals.set(data.star, { story: data.story, height: block.height });
+                this.starHistory.get(data.star).push(block.height);
+            }
+            return;
+        }
+        for (const record of this._starTransactions(block)) {
+            this._indexOwnerBlock(record.owner, block.height);
+            this.starLocations.set(record.id, { height: block.height, position: record.position });
+            this.starOwners.set(record.id, record.owner);
+            this.starHistory.set(record.id, [block.height]);
+            this._addOwnerStar(record.owner, record.id);
+            this.skyIndex.add(record.id, record.star);
+            let key = starKey(record.star);
+            if (key && !this.starIndex.has(key)) {
+                this.starIndex.set(key, record.id);
+            }
+        }
+        for (const record of this._documentTransactions(block)) {
+            this._indexOwnerBlock(record.owner, block.height);
+            if (!this.documentIndex.has(record.document.digest)) {
+                this.documentIndex.set(record.document.digest, { height: block.height, position: record.position });
+            }
+        }
+    }
+
+    _indexOwnerBlock(address, height) {
+        if (!address) {
+            return;
+        }
+        if (!this.ownerIndex.has(address)) {
+            this.ownerIndex.set(address, []);
+        }
+        let heights = this.ownerIndex.get(address);
+        if (heights[heights.length - 1] !== height) {
+            heights.push(height);
+        }
+    }
+
+    /**
+     * Return the stars registered in the block as `{ id, owner, star, position }`: the transactions
+     * of a batch block, or the star of a block created before batching (`position` is then `null`
+     * and the id is the block hash). Genesis, transfer and reveal blocks don't register any star.
+     * @param {*} block 
+     */
+    _starTransactions(block) {
+        if (block.height === 0) {
+            return [];
+        }
+        let data = this._blockData(block);
+        if (isBatch(data)) {
+            return data.transactions
+                .map((transaction, position) => ({ id: transaction.id, type: transactionType(transaction), owner: transaction.owner, star: transaction.star, position: position }))
+                .filter(record => record.type === STAR_TYPE)
+                .map(({ type, ...record }) => record);
+        }
+        if (isTransfer(data) || isReveal(data)) {
+            return [];
+        }
+        return [{ id: block.hash, owner: block.address, star: data, position: null }];
+    }
+
+    /**
+     * Return the documents notarized in the block as `{ id, owner, document, position }`.
+     * @param {*} block 
+     */
+    _documentTransactions(block) {
+        let data = block.height === 0 ? null : this._blockData(block);
+        if (!isBatch(data)) {
+            return [];
+        }
+        return data.transactions
+            .map((transaction, position) => ({ id: transaction.id, type: transactionType(transaction), owner: transaction.owner, document: transaction.document, position: position }))
+            .filter(record => record.type === DOCUMENT_TYPE)
+            .map(({ type, ...record }) => record);
+    }
+
+    /**
+     * Return the star with that id as `{ id, owner, star, position, block }`, `null` when unknown.
+     * @param {*} starId 
+     */
+    _starRecord(starId) {
+        let location = this.starLocations.get(starId);
+        if (!location) {
+            return null;
+        }
+        let block = this.chain[location.height];
+        let record = this._starTransactions(block).find(star => star.id === starId);
+        record.block = block;
+        return record;
+    }
+
+    /**
+     * Return the star with its id, current owner and the metadata of the block it was registered in.
+     * @param {*} record see `_starRecord()`
+     */
+    _starView(record) {
+        let view = this._blockView(record.block);
+        delete view.transactions;
+        view.type = 'star';
+        view.id = record.id;
+        view.owner = record.owner;
+        view.currentOwner = this.starOwners.get(record.id);
+        view.star = record.star;
+        if (isPrivateStar(record.star)) {
+            view.revealed = this.starReveals.get(record.id) || null;
+        }
+        return view;
+    }
+
+    /**
+     * Position in the sorted list of heights of the first height to visit from `height`
+     * (the first one greater or equal in ascending order, lower or equal in descending order).
+     * @param {*} heights 
+     * @param {*} height 
+     * @param {*} descending 
+     */
+    _positionOf(heights, height, descending) {
+        let low = 0;
+        let high = heights.length;
+        while (low < high) {
+            let middle = (low + high) >> 1;
+            if (heights[middle] < height) {
+                low = middle + 1;
+            } else {
+                high = middle;
+            }
+        }
+        if (descending && heights[low] !== height) {
+            return low - 1;
+        }
+        return low;
+    }
+
+    /**
+     * Position the stars found by `searchStars()` are sorted from: (`ra`, `dec`) of the query, the center
+     * of the box, or the mean direction of the stars found.
+     * @param {*} query
+     * @param {*} entries
+     */
+    _searchCenter(query, entries) {
+        if (query.ra !== undefined && query.dec !== undefined) {
+            return { ra: query.ra, dec: query.dec };
+        }
+        if (query.raMin !== undefined) {
+            let width = (query.raMax - query.raMin + 360) % 360;
+            return { ra: (query.raMin + width / 2) % 360, dec: (query.decMin + query.decMax) / 2 };
+        }
+        let [x, y, z] = [0, 0, 0];
+        for (const entry of entries) {
+            let [ra, dec] = [entry.ra * Math.PI / 180, entry.dec * Math.PI / 180];
+            x += Math.cos(dec) * Math.cos(ra);
+            y += Math.cos(dec) * Math.sin(ra);
+            z += Math.sin(dec);
+        }
+        return { ra: ((Math.atan2(y, x) * 180 / Math.PI) + 360) % 360, dec: Math.atan2(z, Math.hypot(x, y)) * 180 / Math.PI };
+    }
+
+    _consumeChallenge(message, address) {
+        this.challenges.consume(message, address);
+        this.emit('challengeConsumed', { address: address });
+    }
+
+    _resetIndexes() {
+        this.starIndex = new Map();                 // Normalized star coordinates -> id of the star
+        this.starLocations = new Map();             // Star id -> { height, position } of its registration
+        this.starOwners = new Map();                // Star id -> current owner
+        this.starHistory = new Map();               // Star id -> heights of its registration, transfers and reveal
+        this.starReveals = new Map();               // Private star id -> { story, height } of its reveal
+        this.documentIndex = new Map();             // Document digest -> { height, position } of its notarization
+        this.skyIndex = new SkyIndex();             // Stars by position in the sky, see `./sky.js`
+        this.hashIndex = new Map();                 // Block hash -> height
+        this.ownerIndex = new Map();                // Address -> heights of the blocks it added, registering its stars or transferring it a star
+        this.ownerStars = new Map();                // Address -> ids of the stars it currently owns
+        this.bodyCache = new Map();                 // Block hash -> decoded body
+        this.transferCount = 0;
+    }
+
+    _addOwnerStar(address, starHash) {
+        if (!this.ownerStars.has(address)) {
+            this.ownerStars.set(address, new Set());
+        }
+        this.ownerStars.get(address).add(starHash);
+    }
+
+    _removeOwnerStar(address, starHash) {
+        let stars = this.ownerStars.get(address);
+        if (stars) {
+            stars.delete(starHash);
+            if (stars.size === 0) {
+                this.ownerStars.delete(address);
+            }
+        }
+    }
+
+    /**
+     * Return the decoded body of the block, decoded once and then served from `this.bodyCache`.
+     * The object returned is shared, callers must not modify it.
+     * @param {*} block 
+     */
+    _blockData(block) {
+        let data = this.bodyCache.get(block.hash);
+        if (data === undefined) {
+            data = this._hexToJSON(block.body);
+            this.bodyCache.set(block.hash, data);
+        }
+        return data;
+    }
+
+    /**
+     * Return the block metadata along with its decoded content:
+     * `{ height, hash, previousBlockHash, time, nonce, difficulty, merkleRoot, type, owner, star | transactions | transfer | data }`
+     * where `type` is `genesis`, `star` (block created before batching), `batch`, `transfer` or `reveal`.
+     * The transactions of a batch have a `type`, `star` or `document`.
+     * The stars of a private star have `revealed`, `{ story, height }` once its owner revealed the story.
+     * @param {*} block 
+     */
+    _blockView(block) {
+        let view = {
+            height: block.height,
+            hash: block.hash,
+            previousBlockHash: block.previousBlockHash,
+            time: block.time,
+            nonce: block.nonce,
+            difficulty: block.difficulty,
+            merkleRoot: block.merkleRoot || null,
+            type: 'star',
+            owner: block.address || null
+        };
+        let data = this._blockData(block);
+        if (block.height === 0) {
+            view.type = 'genesis';
+            view.data = data;
+        } else if (isTransfer(data)) {
+            view.type = 'transfer';
+            view.transfer = { star: data.star, from: data.from, to: data.to };
+        } else if (isReveal(data)) {
+            view.type = 'reveal';
+            view.reveal = { star: data.star, from: data.from, story: data.story };
+        } else if (isBatch(data)) {
+            view.type = 'batch';
+            let stars = this._starTransactions(block).map(record => {
+                let transaction = { id: record.id, type: STAR_TYPE, owner: record.owner, currentOwner: this.starOwners.get(record.id), star: record.star, position: record.position };
+                if (isPrivateStar(record.star)) {
+                    transaction.revealed = this.starReveals.get(record.id) || null;
+                }
+                return transaction;
+            });
+            let documents = this._documentTransactions(block).map(record => ({ id: record.id, type: DOCUMENT_TYPE, owner: record.owner, document: record.document, position: record.position }));
+            view.transactions = stars.concat(documents).sort((a, b) => a.position - b.position).map(({ position, ...transaction }) => transaction);
+        } else {
+            view.id = block.hash;
+            view.star = data;
+            view.currentOwner = this.starOwners.get(block.hash) || view.owner;
+        }
+        return view;
+    }
+
+    /**
+     * Seal the star transactions in a batch block carrying their Merkle root and add it to the chain.
+     * @param {*} transactions 
+     * @param {*} onProgress 
+     */
+    _sealBatch(transactions, onProgress) {
+        let block = new BlockClass.Block({ type: BATCH_TYPE, transactions: transactions });
+        block.merkleRoot = merkleRoot(transactions.map(transaction => transaction.id));
+        return this._addBlock(block, onProgress);
+    }
+
+    /**
+     * Check the block against its parent and add it to the tree, then connect the orphans waiting for it
+     * (the invalid ones are dropped). Resolves with the errors of the block, empty when it was added.
+     * @param {*} block 
+     */
+    async _connectBlock(block) {
+        let errors = await this._checkAgainstParent(block);
+        if (errors.length > 0) {
+            return errors;
+        }
+        this.tree.add(block);
+        let connected = [block];
+        while (connected.length > 0) {
+            for (const orphan of this.tree.takeOrphans(connected.shift().hash)) {
+                let orphanErrors = await this._checkAgainstParent(orphan);
+                if (orphanErrors.length > 0) {
+                    this.emit('validationFailed', { source: 'orphanBlock', errors: orphanErrors });
+                } else {
+                    this.tree.add(orphan);
+                    connected.push(orphan);
+                }
+            }
+        }
+        return [];
+    }
+
+    async _checkAgainstParent(block) {
+        let parent = this.tree.get(block.previousBlockHash);
+        if (block.height !== parent.height + 1) {
+            return [{ height: block.height, hash: block.hash, kind: FAILURE.HEIGHT_GAP, message: `Block height ${block.height} doesn't follow its parent height ${parent.height}` }];
+        }
+        let report = await this._validator([parent, block]).run(1);
+        // The block is validated against its parent only, so its height never matches its position
+        return report.errors.filter(error => error.kind !== FAILURE.HEIGHT_GAP);
+    }
+
+    /**
+     * Make the branch ending at `tip` the canonical chain. When it builds on the tip of the chain its
+     * blocks are appended (`extended`). Otherwise (`reorganized`) the store is rewritten, the indexes are
+     * rolled back to the fork point and the blocks of the branch replayed, then the transactions of the
+     * abandoned blocks that the branch doesn't hold go back to the mempool.
+     * @param {*} tip 
+     */
+    async _switchBranch(tip) {
+        let branch = this.tree.path(tip.hash);
+        let forkHeight = 0;
+        while (forkHeight + 1 < Math.min(this.chain.length, branch.length) && branch[forkHeight + 1].hash === this.chain[forkHeight + 1].hash) {
+            forkHeight++;
+        }
+        let removed = this.chain.slice(forkHeight + 1);
+        let added = branch.slice(forkHeight + 1);
+        if (removed.length === 0) {
+            for (const block of added) {
+                await this.store.append(block);
+                this.chain.push(block);
+                this.height = block.height;
+                this._indexBlock(block);
+                this.emit('blockAdded', block);
+            }
+            return 'extended';
+        }
+        let previousTip = this.chain[this.chain.length - 1];
+        await this.store.replace(branch);
+        this.chain = branch;
+        this.height = tip.height;
+        this._rollbackIndexes(forkHeight);
+        added.forEach(block => this._indexBlock(block));
+        let reorg = {
+            time: this._getCurrentTimeStamp(),
+            forkHeight: forkHeight,
+            from: { height: previousTip.height, hash: previousTip.hash },
+            to: { height: tip.height, hash: tip.hash },
+            removed: removed.map(block => block.hash),
+            added: added.map(block => block.hash),
+            requeued: this._requeueTransactions(removed)
+        };
+        this.reorgs.push(reorg);
+        if (this.reorgs.length > MAX_REORGS) {
+            this.reorgs.shift();
+        }
+        this.emit('chainReorganized', reorg);
+        added.forEach(block => this.emit('blockAdded', block));
+        return 'reorganized';
+    }
+
+    // A block can't be unindexed on its own (a transfer only applies from the owner at that time),
+    // so the indexes are rebuilt from the Genesis Block up to `height`
+    _rollbackIndexes(height) {
+        this._resetIndexes();
+        this.chain.slice(0, height + 1).forEach(block => this._indexBlock(block));
+    }
+
+    /**
+     * Put back in the mempool the transactions of the abandoned batch blocks that the chain doesn't hold
+     * (same star id or coordinates, same document digest) nor is adding, returns the number of transactions requeued.
+     * Stars registered before batching, transfers and reveals are blocks of their own and are dropped.
+     * @param {*} blocks 
+     */
+    _requeueTransactions(blocks) {
+        let requeued = 0;
+        for (const block of blocks) {
+            let data;
+            try {
+                data = this._hexToJSON(block.body);
+            } catch (error) {
+                continue;
+            }
+            if (!isBatch(data)) {
+                continue;
+            }
+            for (const transaction of data.transactions) {
+                let isDocument = transactionType(transaction) === DOCUMENT_TYPE;
+                let key = isDocument ? transaction.document.digest : starKey(transaction.star);
+                let pending = isDocument ? this._pendingDocuments : this._pendingStars;
+                let held = isDocument
+                    ? this.documentIndex.has(key)
+                    : this.starLocations.has(transaction.id) || this.starIndex.has(key);
+                if (!held && !pending.has(key)) {
+                    // The submitter got its answer with the abandoned block, nobody waits for this one.
+                    // It's pending until sealed again, a new submission of the same star or document is refused
+                    pending.add(key);
+                    this.mempool.add(transaction).catch(() => {}).then(() => pending.delete(key));
+                    requeued++;
+                }
+            }
+        }
+        return requeued;
+    }
+
+    // The logger of the node, carrying the `requestId` of the context when there is one
+    _log(context) {
+        return context && context.requestId ? this.logger.child({ requestId: context.requestId }) : this.logger;
+    }
+
+    // A legacy block whose properties were reordered (by another serializer or a peer) gets back the
+    // order it was hashed in, see `migrateLegacyBlock()`. The ones that can't be verified fail validation.
+    _blockOf(record) {
+        return BlockClass.Block.fromJSON(migrateLegacyBlock(record) || record);
+    }
+
+    _validator(chain) {
+        return new ChainValidator(chain || this.chain, { minDifficulty: this.options.minDifficulty, network: this.network });
     }
 
+    // The body is UTF-8 encoded JSON, `hex2ascii` would mangle the `°` of the declination
     _hexToJSON(hexStr) {
-        return JSON.parse(hex2ascii(hexStr));
+        return JSON.parse(Buffer.from(hexStr, 'hex').toString('utf8'));
     }
 
     _getCurrentTimeStamp() {
@@ -275,4 +1475,5 @@ class Blockchain {
 
 }
 
-module.exports.Blockchain = Blockchain;   
\ No newline at end of file
+module.exports.Blockchain = Blockchain;
+module.exports.MaintenanceError = MaintenanceError;   
\ No newline at end of file
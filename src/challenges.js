@@ -0,0 +1,150 @@
+/**
+ *                          ChallengeRegistry Class
+ *  Keeps track of the ownership messages issued by `requestMessageOwnershipVerification`.
+ *  Every challenge carries a random nonce and an expiry time, and it can only be used once
+ *  and only by the address it was issued to. Expired challenges are swept in the background.
+ */
+
+const crypto = require('crypto');
+const { BlockchainError } = require('./errors.js');
+
+const CHALLENGE_ERROR = {
+    UNKNOWN: 'CHALLENGE_UNKNOWN',                   // The message wasn't issued by this node
+    EXPIRED: 'CHALLENGE_EXPIRED',                   // The message is older than the signature window
+    CONSUMED: 'CHALLENGE_CONSUMED',                 // The message has already been used to submit a star
+    ADDRESS_MISMATCH: 'CHALLENGE_ADDRESS_MISMATCH'  // The message was issued to another address
+};
+
+// Base class of the challenge errors, each code has its own class and HTTP status
+class ChallengeError extends BlockchainError { }
+
+class ChallengeUnknownError extends ChallengeError {
+
+    constructor() {
+        super(CHALLENGE_ERROR.UNKNOWN, 'Unknown message, request a new one with /requestValidation', null, 400);
+    }
+
+}
+
+class ChallengeConsumedError extends ChallengeError {
+
+    constructor() {
+        super(CHALLENGE_ERROR.CONSUMED, 'The message has already been used', null, 409);
+    }
+
+}
+
+class ChallengeAddressMismatchError extends ChallengeError {
+
+    constructor() {
+        super(CHALLENGE_ERROR.ADDRESS_MISMATCH, 'The message was issued to another address', null, 403);
+    }
+
+}
+
+class ChallengeExpiredError extends ChallengeError {
+
+    constructor(expiresAt) {
+        super(CHALLENGE_ERROR.EXPIRED, 'Time elapsed. Please generate a new message and a new signature', { expiresAt: expiresAt }, 410);
+    }
+
+}
+
+class ChallengeRegistry {
+
+    /**
+     * `options.ttl` is the lifetime of a challenge in seconds (5 minutes by default),
+     * `options.sweepInterval` how often (in seconds) expired challenges are removed.
+     * Expired challenges are kept for another `ttl` so a late submission gets a
+     * `CHALLENGE_EXPIRED` error instead of `CHALLENGE_UNKNOWN`.
+     * @param {*} options 
+     */
+    constructor(options) {
+        options = options || {};
+        this.ttl = options.ttl || 300;
+        this.challenges = new Map();
+        this.timer = setInterval(() => this.sweep(), (options.sweepInterval || 60) * 1000);
+        this.timer.unref();
+    }
+
+    /**
+     * Issue a new challenge for the address, returns `{ message, nonce, expiresAt }`
+     * (`expiresAt` is a timestamp in seconds like the block `time`).
+     * @param {*} address 
+     */
+    issue(address) {
+        let now = this._now();
+        let nonce = crypto.randomBytes(16).toString('hex');
+        let challenge = {
+            message: `${address}:${now}:starRegistry:${nonce}`,
+            address: address,
+            nonce: nonce,
+            expiresAt: now + this.ttl,
+            consumed: false
+        };
+        this.challenges.set(challenge.message, challenge);
+        return { message: challenge.message, nonce: nonce, expiresAt: challenge.expiresAt };
+    }
+
+    /**
+     * Check the message is a valid challenge for the address, throws a `ChallengeError` otherwise.
+     * @param {*} message 
+     * @param {*} address 
+     */
+    check(message, address) {
+        let challenge = this.challenges.get(message);
+        if (!challenge) {
+            throw new ChallengeUnknownError();
+        }
+        if (challenge.consumed) {
+            throw new ChallengeConsumedError();
+        }
+        if (challenge.address !== address) {
+            throw new ChallengeAddressMismatchError();
+        }
+        if (this._now() > challenge.expiresAt) {
+            throw new ChallengeExpiredError(challenge.expiresAt);
+        }
+        return challenge;
+    }
+
+    /**
+     * Check the challenge and mark it as used, so it can't be replayed.
+     * @param {*} message 
+     * @param {*} address 
+     */
+    consume(message, address) {
+        let challenge = this.check(message, address);
+        challenge.consumed = true;
+        return challenge;
+    }
+
+    /**
+     * Remove the challenges expired for longer than `ttl`.
+     */
+    sweep() {
+        let limit = this._now() - this.ttl;
+        for (const [message, challenge] of this.challenges) {
+            if (challenge.expiresAt < limit) {
+                this.challenges.delete(message);
+            }
+        }
+    }
+
+    stop() {
+        clearInterval(this.timer);
+    }
+
+    _now() {
+        return Math.floor(Date.now() / 1000);
+    }
+
+}
+
+module.exports.ChallengeRegistry = ChallengeRegistry;
+module.exports.ChallengeError = ChallengeError;
+module.exports.ChallengeUnknownError = ChallengeUnknownError;
+module.exports.ChallengeConsumedError = ChallengeConsumedError;
+module.exports.ChallengeAddressMismatchError = ChallengeAddressMismatchError;
+module.exports.ChallengeExpiredError = ChallengeExpiredError;
+module.exports.CHALLENGE_ERROR = CHALLENGE_ERROR;
@@ -0,0 +1,147 @@
+/**
+ *                          Configuration
+ *  The settings of the node are read, from the lowest to the highest priority, from their default
+ *  value, the JSON configuration file (`--config <path>` or `CONFIG_FILE`), the environment
+ *  variables and the command-line flags (`--port 8080` or `--port=8080`). Each setting has a key
+ *  (used in the configuration file), an environment variable and a flag, see `SETTINGS`.
+ *  The values read from the environment and the flags are converted to the type of the setting and
+ *  every value is validated with its schema (see `./schema.js`), `loadConfig()` throws a `ConfigError`
+ *  listing the invalid settings.
+ */
+
+const fs = require('fs');
+const { validate, coerce } = require('./schema.js');
+const { MAX_DIFFICULTY } = require('./miner.js');
+
+const STRING = { type: 'string' };
+const COUNT = { type: 'integer', minimum: 0 };
+const POSITIVE = { type: 'integer', minimum: 1 };
+const DIFFICULTY = { type: 'integer', minimum: 0, maximum: MAX_DIFFICULTY };
+
+const SETTINGS = [
+    { key: 'port', env: 'PORT', flag: 'port', schema: { type: 'integer', minimum: 0, maximum: 65535 }, default: 8000 },
+    { key: 'host', env: 'HOST', flag: 'host', schema: STRING, default: null },
+    { key: 'tlsCert', env: 'TLS_CERT', flag: 'tls-cert', schema: STRING, default: null },
+    { key: 'tlsKey', env: 'TLS_KEY', flag: 'tls-key', schema: STRING, default: null },
+    { key: 'dataPath', env: 'CHAIN_DATA_PATH', flag: 'data', schema: STRING, default: './data/chain.log' },
+    { key: 'keysPath', env: 'API_KEYS_PATH', flag: 'keys', schema: STRING, default: './data/api-keys.json' },
+    { key: 'network', env: 'BITCOIN_NETWORK', flag: 'network', schema: { type: 'string', enum: ['bitcoin', 'testnet', 'regtest'] }, default: 'bitcoin' },
+    { key: 'signatureWindow', env: 'SIGNATURE_WINDOW', flag: 'signature-window', schema: POSITIVE, default: 300 },
+    { key: 'difficulty', env: 'MINING_DIFFICULTY', flag: 'difficulty', schema: DIFFICULTY, default: 0 },
+    { key: 'minDifficulty', env: 'MIN_DIFFICULTY', flag: 'min-difficulty', schema: DIFFICULTY, default: null },
+    { key: 'hashAlgorithm', env: 'HASH_ALGORITHM', flag: 'hash-algorithm', schema: { type: 'string', enum: ['sha256', 'sha256d', 'sha3-256'] }, default: 'sha256' },
+    { key: 'batchSize', env: 'BATCH_SIZE', flag: 'batch-size', schema: POSITIVE, default: 1 },
+    { key: 'batchInterval', env: 'BATCH_INTERVAL', flag: 'batch-interval', schema: COUNT, default: 0 },
+    { key: 'nodeUrl', env: 'NODE_URL', flag: 'node-url', schema: { type: 'string', format: 'uri' }, default: null },
+    { key: 'peers', env: 'PEERS', flag: 'peers', schema: { type: 'array', items: { type: 'string', format: 'uri' } }, default: [] },
+    { key: 'peerApiKey', env: 'PEER_API_KEY', flag: 'peer-api-key', schema: STRING, default: null },
+    { key: 'anonymousRole', env: 'ANONYMOUS_ROLE', flag: 'anonymous-role', schema: { type: 'string', enum: ['reader', 'submitter', 'peer', 'admin', 'none'] }, default: 'submitter' },
+    { key: 'rateLimitIp', env: 'RATE_LIMIT_IP', flag: 'rate-limit-ip', schema: POSITIVE, default: 60 },
+    { key: 'rateLimitAddress', env: 'RATE_LIMIT_ADDRESS', flag: 'rate-limit-address', schema: POSITIVE, default: 10 },
+    { key: 'rateLimitWindow', env: 'RATE_LIMIT_WINDOW', flag: 'rate-limit-window', schema: POSITIVE, default: 60 },
+    { key: 'logLevel', env: 'LOG_LEVEL', flag: 'log-level', schema: { type: 'string', enum: ['debug', 'info', 'warn', 'error', 'silent'] }, default: 'info' },
+    { key: 'shutdownTimeout', env: 'SHUTDOWN_TIMEOUT', flag: 'shutdown-timeout', schema: POSITIVE, default: 10 }
+];
+
+class ConfigError extends Error {
+
+    constructor(errors) {
+        super(`Invalid configuration: ${errors.map(error => `${error.field} ${error.message}`).join(', ')}`);
+        this.name = 'ConfigError';
+        this.errors = errors;
+    }
+
+}
+
+/**
+ * Return the configuration of the node, `{ port, host, tlsCert, ... }` with every key of `SETTINGS`.
+ * `sources` is `{ argv, env, overrides }`: the command-line arguments (without `node app.js`, none by default),
+ * the environment variables (`process.env` by default) and values taking precedence over everything,
+ * handy to configure a node from the code or the tests.
+ * @param {*} sources
+ */
+function loadConfig(sources) {
+    sources = sources || {};
+    let env = sources.env || process.env;
+    let flags = parseFlags(sources.argv || []);
+    let config = {};
+    SETTINGS.forEach(setting => config[setting.key] = setting.default);
+    let file = flags.config || env.CONFIG_FILE;
+    if (file) {
+        Object.assign(config, readConfigFile(file));
+    }
+    for (const setting of SETTINGS) {
+        if (env[setting.env] !== undefined && env[setting.env] !== '') {
+            config[setting.key] = parseValue(setting, env[setting.env]);
+        }
+        if (flags[setting.flag] !== undefined) {
+            config[setting.key] = parseValue(setting, flags[setting.flag]);
+        }
+    }
+    Object.assign(config, sources.overrides);
+    let errors = [];
+    for (const setting of SETTINGS) {
+        if (config[setting.key] !== null) {
+            errors.push(...validate(setting.schema, config[setting.key], setting.key));
+        }
+    }
+    if ((config.tlsCert === null) !== (config.tlsKey === null)) {
+        errors.push({ field: config.tlsCert === null ? 'tlsCert' : 'tlsKey', message: 'is required with TLS' });
+    }
+    if (config.minDifficulty !== null && config.minDifficulty > config.difficulty) {
+        errors.push({ field: 'minDifficulty', message: 'must not be greater than difficulty' });
+    }
+    // Without an interval a batch is only sealed once full, the last stars would wait forever
+    if (config.batchSize > 1 && config.batchInterval === 0) {
+        errors.push({ field: 'batchInterval', message: 'is required when batchSize is greater than 1' });
+    }
+    if (errors.length > 0) {
+        throw new ConfigError(errors);
+    }
+    return config;
+}
+
+// `--name value` and `--name=value` flags, the other arguments are ignored
+function parseFlags(argv) {
+    let flags = {};
+    for (let i = 0; i < argv.length; i++) {
+        let match = /^--([\w-]+)(?:=(.*))?$/.exec(argv[i]);
+        if (!match) {
+            continue;
+        }
+        if (match[2] !== undefined) {
+            flags[match[1]] = match[2];
+        } else if (i + 1 < argv.length) {
+            flags[match[1]] = argv[++i];
+        } else {
+            throw new ConfigError([{ field: `--${match[1]}`, message: 'is missing its value' }]);
+        }
+    }
+    return flags;
+}
+
+function readConfigFile(file) {
+    let data;
+    try {
+        data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        throw new ConfigError([{ field: file, message: `can't be read: ${error.message}` }]);
+    }
+    let unknown = Object.keys(data).filter(key => !SETTINGS.some(setting => setting.key === key));
+    if (unknown.length > 0) {
+        throw new ConfigError(unknown.map(key => ({ field: key, message: `is not a setting (${file})` })));
+    }
+    return data;
+}
+
+// Text of an environment variable or a flag converted to the type of the setting
+function parseValue(setting, text) {
+    if (setting.schema.type === 'array') {
+        return text.split(',').map(item => item.trim()).filter(item => item);
+    }
+    return coerce(setting.schema, text);
+}
+
+module.exports.SETTINGS = SETTINGS;
+module.exports.ConfigError = ConfigError;
+module.exports.loadConfig = loadConfig;
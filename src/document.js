@@ -0,0 +1,70 @@
+/**
+ *                          Document notarization
+ *  Proof of existence: an owner anchors the SHA256 digest of a file, the file itself is hashed
+ *  when it's uploaded and never stored. A notarization is a transaction sealed in a batch block
+ *  alongside the star transactions (see `./star.js`):
+ *  `{ id, type: 'document', owner, document: { digest, size }, message, signature }`
+ *  where `message` is a challenge issued by `requestMessageOwnershipVerification` to the owner and
+ *  `signature` is the signature of the text built by `documentMessage()`, so the signature commits
+ *  to the digest. The first notarization of a digest is the proof, the next ones are refused.
+ */
+
+const { transactionId } = require('./star.js');
+const { ConflictError } = require('./errors.js');
+
+const DOCUMENT_TYPE = 'document';
+
+const DIGEST_FORMAT = /^[0-9a-f]{64}$/;
+
+class DuplicateDocumentError extends ConflictError {
+
+    // `blockHash` is null when the other notarization is still being added to the chain
+    constructor(blockHash) {
+        super('DUPLICATE_DOCUMENT', blockHash ? `This document is already notarized in block ${blockHash}` : 'This document is already being notarized', { blockHash: blockHash });
+        this.blockHash = blockHash;
+    }
+
+}
+
+/**
+ * Validate the document `{ digest, size }`, returns the list of field errors (empty when it's valid).
+ * @param {*} document
+ */
+function validateDocument(document) {
+    let errors = [];
+    if (!document || typeof document.digest !== 'string' || !DIGEST_FORMAT.test(document.digest)) {
+        errors.push({ field: 'digest', message: 'must be a SHA256 in lower case hex' });
+    }
+    if (!document || !Number.isInteger(document.size) || document.size < 0) {
+        errors.push({ field: 'size', message: 'must be a positive integer' });
+    }
+    return errors;
+}
+
+/**
+ * Build the text the owner has to sign to notarize the document.
+ * @param {*} message challenge issued to the owner
+ * @param {*} digest SHA256 of the document in hex
+ */
+function documentMessage(message, digest) {
+    return `${message}:notarize:${digest}`;
+}
+
+/**
+ * Create the transaction notarizing the document for its owner.
+ * @param {*} owner
+ * @param {*} document `{ digest, size }`
+ * @param {*} message challenge signed by the owner
+ * @param {*} signature signature of `documentMessage(message, digest)`
+ */
+function documentTransaction(owner, document, message, signature) {
+    let transaction = { id: null, type: DOCUMENT_TYPE, owner: owner, document: { digest: document.digest, size: document.size }, message: message, signature: signature };
+    transaction.id = transactionId(transaction);
+    return transaction;
+}
+
+module.exports.DOCUMENT_TYPE = DOCUMENT_TYPE;
+module.exports.DuplicateDocumentError = DuplicateDocumentError;
+module.exports.validateDocument = validateDocument;
+module.exports.documentMessage = documentMessage;
+module.exports.documentTransaction = documentTransaction;
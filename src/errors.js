@@ -0,0 +1,99 @@
+/**
+ *                          Error classes
+ *  Every error reported to the clients extends `BlockchainError`: a machine readable `code`,
+ *  a `message`, optional `details` and the HTTP `status` the REST Api answers with. The classes
+ *  below are the families of errors, the modules extend them with their own errors
+ *  (`StarValidationError`, `ChallengeExpiredError`, `SignatureError`...).
+ *  Any other error is an internal error, its message isn't sent to the clients.
+ */
+
+class BlockchainError extends Error {
+
+    constructor(code, message, details, status) {
+        super(message);
+        this.name = this.constructor.name;
+        this.code = code;
+        this.details = details || null;
+        this.status = status || 500;
+    }
+
+}
+
+// The request or the data doesn't pass validation
+class ValidationError extends BlockchainError {
+
+    constructor(code, message, details) {
+        super(code || 'INVALID_REQUEST', message, details, 400);
+    }
+
+}
+
+// The requested resource doesn't exist
+class NotFoundError extends BlockchainError {
+
+    constructor(code, message, details) {
+        super(code || 'NOT_FOUND', message, details, 404);
+    }
+
+}
+
+// The request conflicts with the state of the chain (already registered, already used...)
+class ConflictError extends BlockchainError {
+
+    constructor(code, message, details) {
+        super(code || 'CONFLICT', message, details, 409);
+    }
+
+}
+
+// Too many requests, `retryAfter` is the number of seconds before the client can try again
+class RateLimitError extends BlockchainError {
+
+    constructor(retryAfter) {
+        super('RATE_LIMITED', `Too many requests, retry in ${retryAfter} seconds`, { retryAfter: retryAfter }, 429);
+        this.retryAfter = retryAfter;
+    }
+
+}
+
+// The node can't handle the request for now
+class UnavailableError extends BlockchainError {
+
+    constructor(code, message, details) {
+        super(code || 'UNAVAILABLE', message, details, 503);
+    }
+
+}
+
+// The chain stored by the node doesn't pass validation, `details.errors` lists the failures
+class CorruptChainError extends BlockchainError {
+
+    constructor(errors) {
+        super('CHAIN_CORRUPTED', `The chain is corrupted at height ${errors[0].height}: ${errors[0].message}`, { errors: errors }, 500);
+    }
+
+}
+
+/**
+ * Return the HTTP status and the JSON body `{ code, message, details }` of an error.
+ * @param {*} error
+ */
+function toErrorResponse(error) {
+    if (error instanceof BlockchainError) {
+        return { status: error.status, body: { code: error.code, message: error.message, details: error.details } };
+    }
+    // Errors raised by the body-parser middleware (malformed JSON, body too large...)
+    if (error && error.type && error.status >= 400 && error.status < 500) {
+        return { status: error.status, body: { code: 'INVALID_BODY', message: error.message, details: null } };
+    }
+    return { status: 500, body: { code: 'INTERNAL_ERROR', message: 'An error happened!', details: null } };
+}
+
+module.exports.BlockchainError = BlockchainError;
+module.exports.ValidationError = ValidationError;
+module.exports.NotFoundError = NotFoundError;
+module.exports.ConflictError = ConflictError;
+module.exports.RateLimitError = RateLimitError;
+module.exports.UnavailableError = UnavailableError;
+module.exports.CorruptChainError = CorruptChainError;
+module.exports.toErrorResponse = toErrorResponse;
@@ -0,0 +1,165 @@
+/**
+ *                          EventHub Class
+ *  Forwards the events emitted by the Blockchain to the clients subscribed over Server-Sent Events
+ *  (`GET /events`) or WebSocket (`/events/ws`). Every event sent has the form `{ type, id, data }`:
+ *  - `blockAdded`: `data` is the block with its metadata and decoded content, `id` its height
+ *  - `chainReplaced`: `data` is `{ height }` of the chain adopted from a peer
+ *  - `chainReorganized`: `data` is `{ forkHeight, from, to, removed, added, requeued }` when the node switched
+ *    to a heavier branch, the `blockAdded` events of the blocks of the branch follow
+ *  - `validationFailed`: `data` is `{ source, errors }`
+ *  - `challengeIssued` / `challengeConsumed`: `data` is `{ address, expiresAt }` / `{ address }`
+ *  Subscribers can filter the events by `owner` address (events without address, like
+ *  `validationFailed`, are sent to everyone, a transfer goes to its sender and its recipient) and
+ *  reconnect with `lastHeight` to first receive the blocks added while they were away.
+ */
+
+const WebSocket = require('ws');
+const { logger } = require('./logger.js');
+
+const MAX_BACKLOG = 1000;                           // Most blocks sent to a reconnecting subscriber
+
+class EventHub {
+
+    /**
+     * `options.logger` is the logger of the node, the shared logger by default.
+     * @param {*} blockchain 
+     * @param {*} options 
+     */
+    constructor(blockchain, options) {
+        let self = this;
+        self.blockchain = blockchain;
+        self.logger = (options && options.logger) || logger;
+        self.subscribers = new Set();
+        self.webSocketServer = null;
+        // Blocks are published in the order they were added even though building their view is async
+        self._publishing = Promise.resolve();
+        blockchain.on('blockAdded', (block) => {
+            self._publishing = self._publishing
+                .then(() => blockchain.getBlockByHash(block.hash, { metadata: true }))
+                .then((view) => self.publish({ type: 'blockAdded', id: view.height, data: view }, self._addresses(view)))
+                .catch(() => {});
+        });
+        blockchain.on('chainReplaced', (height) => self.publish({ type: 'chainReplaced', data: { height: height } }));
+        blockchain.on('chainReorganized', (reorg) => {
+            self._publishing = self._publishing.then(() => self.publish({ type: 'chainReorganized', data: reorg }));
+        });
+        blockchain.on('validationFailed', (failure) => self.publish({ type: 'validationFailed', data: failure }));
+        blockchain.on('challengeIssued', (challenge) => self.publish({ type: 'challengeIssued', data: challenge }, challenge.address));
+        blockchain.on('challengeConsumed', (challenge) => self.publish({ type: 'challengeConsumed', data: challenge }, challenge.address));
+    }
+
+    /**
+     * Send the event to the subscribers interested in it.
+     * @param {*} event 
+     * @param {*} addresses address (or list of addresses) the event is about, if any
+     */
+    publish(event, addresses) {
+        addresses = addresses === undefined ? [] : [].concat(addresses);
+        for (const subscriber of this.subscribers) {
+            if (!subscriber.owner || addresses.length === 0 || addresses.includes(subscriber.owner)) {
+                subscriber.send(event);
+            }
+        }
+    }
+
+    /**
+     * Subscribe to the events. When `filter.lastHeight` is set the blocks added after that height
+     * are sent first, then the live events (without duplicates). Resolves with a function that
+     * ends the subscription, or rejects (without subscribing) when the blocks can't be read.
+     * @param {*} filter `{ owner, lastHeight }`
+     * @param {*} send called with each event
+     */
+    async connect(filter, send) {
+        let pending = [];
+        let live = false;
+        let lastSent = -1;
+        let deliver = (event) => {
+            if (!(event.type === 'blockAdded' && event.id <= lastSent)) {
+                send(event);
+            }
+        };
+        let subscriber = { owner: filter.owner, send: (event) => live ? deliver(event) : pending.push(event) };
+        this.subscribers.add(subscriber);
+        if (filter.lastHeight !== undefined) {
+            let page;
+            try {
+                page = await this.blockchain.getBlocks({ cursor: filter.lastHeight + 1, limit: MAX_BACKLOG, owner: filter.owner });
+            } catch (error) {
+                this.subscribers.delete(subscriber);
+                throw error;
+            }
+            page.blocks.forEach(block => send({ type: 'blockAdded', id: block.height, data: block }));
+            if (page.nextCursor !== null) {
+                send({ type: 'backlogTruncated', data: { nextHeight: page.nextCursor } });
+            }
+            lastSent = page.blocks.length > 0 ? page.blocks[page.blocks.length - 1].height : lastSent;
+        }
+        pending.forEach(deliver);
+        live = true;
+        return () => this.subscribers.delete(subscriber);
+    }
+
+    /**
+     * Accept WebSocket subscriptions on the HTTP server, at `/events/ws?owner=&lastHeight=`.
+     * `authorize` (optional) receives the upgrade request and returns false to refuse the connection.
+     * A subscription that fails is logged and its socket closed with the code 1011 (internal error).
+     * @param {*} server 
+     * @param {*} authorize 
+     */
+    attach(server, authorize) {
+        let self = this;
+        self.webSocketServer = new WebSocket.Server({
+            server: server,
+            path: '/events/ws',
+            verifyClient: authorize ? (info) => authorize(info.req) : undefined
+        });
+        self.webSocketServer.on('connection', async (socket, request) => {
+            let query = new URL(request.url, 'http://localhost').searchParams;
+            let lastHeight = /^\d+$/.test(query.get('lastHeight') || '') ? parseInt(query.get('lastHeight')) : undefined;
+            let closed = false;
+            let unsubscribe = null;
+            socket.on('close', () => {
+                closed = true;
+                if (unsubscribe) {
+                    unsubscribe();
+                }
+            });
+            let send = (event) => {
+                if (socket.readyState === WebSocket.OPEN) {
+                    socket.send(JSON.stringify(event));
+                }
+            };
+            try {
+                unsubscribe = await self.connect({ owner: query.get('owner') || undefined, lastHeight: lastHeight }, send);
+            } catch (error) {
+                self.logger.error('Unable to subscribe to the events', { error: error, owner: query.get('owner'), lastHeight: lastHeight });
+                socket.close(1011, 'Unable to subscribe to the events');
+                return;
+            }
+            if (closed) {
+                unsubscribe();
+            }
+        });
+    }
+
+    // Addresses a block is about: the address that added it (and the recipient of a transfer) or the owners of its transactions
+    _addresses(view) {
+        if (view.transactions) {
+            return view.transactions.map(transaction => transaction.owner);
+        }
+        if (view.transfer) {
+            return [view.owner, view.transfer.to];
+        }
+        return view.owner ? [view.owner] : [];
+    }
+
+    close() {
+        this.subscribers.clear();
+        if (this.webSocketServer) {
+            this.webSocketServer.close();
+        }
+    }
+
+}
+
+module.exports.EventHub = EventHub;
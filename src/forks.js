@@ -0,0 +1,171 @@
+/**
+ *                          BlockTree Class
+ *  Keeps the blocks known by the node as a tree rooted at the Genesis Block: the canonical chain
+ *  and the competing branches that fork from it. Every node of the tree knows its parent and the
+ *  cumulative work of the branch ending at it, the work of a block being `16 ^ difficulty` (the
+ *  expected number of hashes to find `difficulty` leading hex zeros), so the heaviest branch wins
+ *  and a chain of blocks added without mining is simply the longest one.
+ *  Blocks whose parent is unknown wait in the orphan pool until the parent arrives, the oldest
+ *  orphans are dropped once the pool holds `maxOrphans` blocks.
+ *  The blocks ending a branch are kept in a set of tips. A side branch whose tip falls more than
+ *  `finalityDepth` blocks behind the heaviest tip can't win anymore, its blocks are pruned.
+ */
+
+const MAX_ORPHANS = 100;
+const FINALITY_DEPTH = 100;
+
+class BlockTree {
+
+    /**
+     * `options.maxOrphans` is the size of the orphan pool (default 100), `options.finalityDepth` the
+     * number of blocks a side branch can fall behind the heaviest tip before it's pruned (default 100).
+     * @param {*} options
+     */
+    constructor(options) {
+        this.maxOrphans = (options && options.maxOrphans) || MAX_ORPHANS;
+        this.finalityDepth = (options && options.finalityDepth) || FINALITY_DEPTH;
+        this.nodes = new Map();                     // Block hash -> { block, parent, work, children }
+        this.orphans = new Map();                   // Block hash -> { block, receivedAt }
+        this.tipHashes = new Set();                 // Hashes of the blocks no other block builds on
+        this.best = null;                           // Hash of the heaviest tip, the first one seen on a tie
+    }
+
+    /**
+     * Forget every block and rebuild the tree from the chain (Genesis Block first).
+     * @param {*} chain
+     */
+    reset(chain) {
+        this.nodes = new Map();
+        this.orphans = new Map();
+        this.tipHashes = new Set();
+        this.best = null;
+        chain.forEach(block => this.add(block));
+    }
+
+    has(hash) {
+        return this.nodes.has(hash);
+    }
+
+    get(hash) {
+        let node = this.nodes.get(hash);
+        return node ? node.block : null;
+    }
+
+    /**
+     * Cumulative work of the branch ending at the block, 0 when the block is unknown.
+     * @param {*} hash
+     */
+    work(hash) {
+        let node = this.nodes.get(hash);
+        return node ? node.work : 0;
+    }
+
+    /**
+     * Add a block whose parent is in the tree (or the Genesis Block), the branches left more than
+     * `finalityDepth` blocks behind are pruned when it becomes the heaviest tip.
+     * @param {*} block
+     */
+    add(block) {
+        let parent = block.height === 0 ? null : this.nodes.get(block.previousBlockHash);
+        let node = { block: block, parent: parent ? block.previousBlockHash : null, work: (parent ? parent.work : 0) + blockWork(block), children: new Set() };
+        this.nodes.set(block.hash, node);
+        if (parent) {
+            parent.children.add(block.hash);
+            this.tipHashes.delete(block.previousBlockHash);
+        }
+        this.tipHashes.add(block.hash);
+        if (this.best === null || node.work > this.nodes.get(this.best).work) {
+            this.best = block.hash;
+            this._prune();
+        }
+    }
+
+    hasOrphan(hash) {
+        return this.orphans.has(hash);
+    }
+
+    /**
+     * Keep the block until its parent arrives, dropping the oldest orphan when the pool is full.
+     * @param {*} block
+     * @param {*} receivedAt timestamp (seconds) the block was received at
+     */
+    addOrphan(block, receivedAt) {
+        if (this.orphans.size >= this.maxOrphans) {
+            this.orphans.delete(this.orphans.keys().next().value);
+        }
+        this.orphans.set(block.hash, { block: block, receivedAt: receivedAt });
+    }
+
+    /**
+     * Remove from the pool and return the orphans whose parent is the block `hash`.
+     * @param {*} hash
+     */
+    takeOrphans(hash) {
+        let children = [];
+        for (const [orphanHash, orphan] of this.orphans) {
+            if (orphan.block.previousBlockHash === hash) {
+                children.push(orphan.block);
+                this.orphans.delete(orphanHash);
+            }
+        }
+        return children;
+    }
+
+    getOrphans() {
+        return [...this.orphans.values()];
+    }
+
+    /**
+     * Return the blocks of the branch ending at the block `hash`, Genesis Block first.
+     * @param {*} hash
+     */
+    path(hash) {
+        let blocks = [];
+        for (let node = this.nodes.get(hash); node; node = this.nodes.get(node.parent)) {
+            blocks.push(node.block);
+        }
+        return blocks.reverse();
+    }
+
+    /**
+     * Return the blocks ending a branch, the ones no other block builds on.
+     */
+    tips() {
+        return [...this.tipHashes].map(hash => this.nodes.get(hash).block);
+    }
+
+    // Remove the side branches whose tip is more than `finalityDepth` blocks behind the heaviest tip,
+    // each one up to its fork point (the first block another branch still builds on)
+    _prune() {
+        let height = this.nodes.get(this.best).block.height;
+        for (const tip of [...this.tipHashes]) {
+            let node = this.nodes.get(tip);
+            if (node.block.height + this.finalityDepth >= height) {
+                continue;
+            }
+            this.tipHashes.delete(tip);
+            let hash = tip;
+            while (node && node.children.size === 0) {
+                this.nodes.delete(hash);
+                let parent = this.nodes.get(node.parent);
+                if (parent) {
+                    parent.children.delete(hash);
+                }
+                hash = node.parent;
+                node = parent;
+            }
+        }
+    }
+
+}
+
+/**
+ * Return the work of the block, `16 ^ difficulty`.
+ * @param {*} block
+ */
+function blockWork(block) {
+    return Math.pow(16, block.difficulty || 0);
+}
+
+module.exports.BlockTree = BlockTree;
+module.exports.blockWork = blockWork;
@@ -0,0 +1,137 @@
+/**
+ *                          Block hashing
+ *  The hash of a block is computed over a canonical serialization of its header, so it doesn't
+ *  depend on the order the properties were set on the block object (nor on the properties added
+ *  to it that aren't part of the header). The block `version` is `<format>/<algorithm>`:
+ *  - `format` is the version of the header schema, the list of fields hashed and their order
+ *    (`HEADER_FIELDS`). The body is hashed apart and only its hash goes into the header.
+ *  - `algorithm` is the hash function, one of `HASH_ALGORITHMS` (`sha256`, `sha256d`, `sha3-256`).
+ *  The header is serialized as the JSON array of its fields values (`null` for a missing field).
+ *  Blocks created before versioning have no `version`: their hash is the SHA256 of the JSON of the
+ *  whole block with a `null` hash, in the order the properties were stored (legacy format).
+ *  `migrateLegacyBlock()` re-verifies a legacy block whose properties were reordered (by another
+ *  serializer or a peer) by restoring the order the Block class created them in, the node applies it
+ *  to the blocks it loads from its store and receives from its peers.
+ */
+
+const crypto = require('crypto');
+
+const HEADER_FORMAT = 1;
+
+const DEFAULT_ALGORITHM = 'sha256';
+
+// Fields of the header of each format, in the order they are serialized
+const HEADER_FIELDS = {
+    1: ['version', 'height', 'time', 'previousBlockHash', 'bodyHash', 'merkleRoot', 'address', 'difficulty', 'nonce']
+};
+
+// Properties of the legacy blocks in the order the Block class sets them, `address` being added last
+const LEGACY_FIELDS = ['hash', 'height', 'body', 'time', 'previousBlockHash', 'nonce', 'difficulty', 'merkleRoot', 'address'];
+
+// Hash functions, each one returns the hash of the UTF-8 text in lower case hex
+const HASH_ALGORITHMS = {
+    'sha256': text => digest('sha256', Buffer.from(text, 'utf8')).toString('hex'),
+    'sha256d': text => digest('sha256', digest('sha256', Buffer.from(text, 'utf8'))).toString('hex'),
+    'sha3-256': text => digest('sha3-256', Buffer.from(text, 'utf8')).toString('hex')
+};
+
+class UnsupportedVersionError extends Error {
+
+    constructor(version) {
+        super(`Unsupported block version ${version}`);
+        this.name = 'UnsupportedVersionError';
+        this.version = version;
+    }
+
+}
+
+function digest(algorithm, data) {
+    return crypto.createHash(algorithm).update(data).digest();
+}
+
+/**
+ * Return the version of the blocks hashed with `algorithm` in the current header format.
+ * Throws an `UnsupportedVersionError` when the algorithm is unknown.
+ * @param {*} algorithm one of `HASH_ALGORITHMS`, `sha256` by default
+ */
+function blockVersion(algorithm) {
+    let version = `${HEADER_FORMAT}/${algorithm || DEFAULT_ALGORITHM}`;
+    parseVersion(version);
+    return version;
+}
+
+/**
+ * Split the block version into `{ format, algorithm }`, `null` for a legacy block (no version).
+ * Throws an `UnsupportedVersionError` when the format or the algorithm is unknown.
+ * @param {*} version
+ */
+function parseVersion(version) {
+    if (version === undefined || version === null) {
+        return null;
+    }
+    let match = /^(\d+)\/([\w-]+)$/.exec(version);
+    if (!match || !HEADER_FIELDS[match[1]] || !HASH_ALGORITHMS[match[2]]) {
+        throw new UnsupportedVersionError(version);
+    }
+    return { format: parseInt(match[1]), algorithm: match[2] };
+}
+
+/**
+ * Compute the hash of the block with the algorithm of its version.
+ * Throws an `UnsupportedVersionError` when the version of the block is unknown.
+ * @param {*} block
+ */
+function hashBlock(block) {
+    return blockHasher(block)(block.nonce);
+}
+
+/**
+ * Return a function computing the hash of the block for a given nonce, the body is hashed once
+ * so the miner only serializes the header for each attempt.
+ * @param {*} block
+ */
+function blockHasher(block) {
+    let version = parseVersion(block.version);
+    if (!version) {
+        return nonce => HASH_ALGORITHMS[DEFAULT_ALGORITHM](JSON.stringify({ ...block, hash: null, nonce: nonce }));
+    }
+    let hash = HASH_ALGORITHMS[version.algorithm];
+    let header = { ...block, bodyHash: hash(block.body) };
+    return nonce => {
+        header.nonce = nonce;
+        return hash(headerText(version.format, header));
+    };
+}
+
+/**
+ * Re-verify the plain JSON of a legacy block (see `Block.fromJSON()`). Returns the record itself when
+ * its hash matches, a copy with the properties in the order they were created when only the order was
+ * lost, or `null` when the hash can't be verified. Versioned blocks are returned as they are.
+ * @param {*} record
+ */
+function migrateLegacyBlock(record) {
+    if (record.version !== undefined && record.version !== null) {
+        return record;
+    }
+    if (hashBlock(record) === record.hash) {
+        return record;
+    }
+    let ordered = {};
+    LEGACY_FIELDS.filter(field => field in record).forEach(field => ordered[field] = record[field]);
+    Object.keys(record).filter(field => !(field in ordered)).forEach(field => ordered[field] = record[field]);
+    return hashBlock(ordered) === record.hash ? ordered : null;
+}
+
+function headerText(format, header) {
+    return JSON.stringify(HEADER_FIELDS[format].map(field => header[field] === undefined ? null : header[field]));
+}
+
+module.exports.HEADER_FORMAT = HEADER_FORMAT;
+module.exports.HEADER_FIELDS = HEADER_FIELDS;
+module.exports.HASH_ALGORITHMS = HASH_ALGORITHMS;
+module.exports.UnsupportedVersionError = UnsupportedVersionError;
+module.exports.blockVersion = blockVersion;
+module.exports.parseVersion = parseVersion;
+module.exports.hashBlock = hashBlock;
+module.exports.blockHasher = blockHasher;
+module.exports.migrateLegacyBlock = migrateLegacyBlock;
@@ -0,0 +1,62 @@
+/**
+ *                          HTTP client helper
+ *  Minimal JSON client used to talk to other nodes (peer network) and to a node from the CLI.
+ */
+
+const http = require('http');
+const https = require('https');
+
+class HttpError extends Error {
+
+    constructor(method, url, status, body) {
+        super(`${method} ${url} answered ${status}${body ? `: ${body}` : ''}`);
+        this.name = 'HttpError';
+        this.status = status;
+        this.body = body;
+    }
+
+}
+
+/**
+ * Send a request with an optional JSON body. The Promise resolves with the parsed JSON response
+ * and rejects with an `HttpError` when the server answers with a 4xx or 5xx status.
+ * @param {*} method 
+ * @param {*} url 
+ * @param {*} body 
+ * @param {*} timeout in milliseconds (5 seconds by default)
+ * @param {*} headers additional request headers (the API key...)
+ */
+function requestJSON(method, url, body, timeout, headers) {
+    return new Promise((resolve, reject) => {
+        let payload = body === undefined ? null : JSON.stringify(body);
+        let client = url.startsWith('https:') ? https : http;
+        let request = client.request(url, {
+            method: method,
+            timeout: timeout || 5000,
+            headers: Object.assign(payload ? { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(payload) } : {}, headers)
+        }, (response) => {
+            let data = '';
+            response.setEncoding('utf8');
+            response.on('data', (chunk) => data += chunk);
+            response.on('end', () => {
+                if (response.statusCode >= 400) {
+                    return reject(new HttpError(method, url, response.statusCode, data));
+                }
+                try {
+                    resolve(data ? JSON.parse(data) : null);
+                } catch (error) {
+                    reject(error);
+                }
+            });
+        });
+        request.on('timeout', () => request.destroy(new Error(`${method} ${url} timed out`)));
+        request.on('error', reject);
+        if (payload) {
+            request.write(payload);
+        }
+        request.end();
+    });
+}
+
+module.exports.HttpError = HttpError;
+module.exports.requestJSON = requestJSON;
@@ -0,0 +1,100 @@
+/**
+ *                          Logger Class
+ *  Writes the logs as JSON lines `{ time, level, msg, ...fields }` on the standard output, one object
+ *  per line so they can be parsed and filtered by the log collectors. `child(fields)` returns a logger
+ *  adding `fields` to every line, the request logger gives each request a child logger carrying its
+ *  `requestId` (`req.log`), taken from the `X-Request-Id` header or generated, and sent back in
+ *  the `X-Request-Id` header of the response.
+ */
+
+const crypto = require('crypto');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+
+// Request ids received from the clients are only kept when they look like one
+const REQUEST_ID_FORMAT = /^[\w.:-]{1,64}$/;
+
+class Logger {
+
+    /**
+     * `options.level` is the lowest level written (`debug`, `info`, `warn`, `error` or `silent`, default `info`),
+     * `options.fields` the fields added to every line and `options.write` the function writing a line.
+     * @param {*} options
+     */
+    constructor(options) {
+        options = options || {};
+        this.level = LEVELS[options.level] ? options.level : 'info';
+        this.fields = options.fields || {};
+        this.write = options.write || (line => process.stdout.write(line));
+    }
+
+    /**
+     * Return a logger with the same output adding `fields` to every line.
+     * @param {*} fields
+     */
+    child(fields) {
+        return new Logger({ level: this.level, fields: Object.assign({}, this.fields, fields), write: this.write });
+    }
+
+    log(level, msg, fields) {
+        if (LEVELS[level] < LEVELS[this.level]) {
+            return;
+        }
+        let entry = Object.assign({ time: new Date().toISOString(), level: level, msg: msg }, this.fields, fields);
+        if (entry.error instanceof Error) {
+            // The stack is only worth it for the unexpected errors
+            entry.error = { message: entry.error.message, code: entry.error.code, stack: level === 'error' ? entry.error.stack : undefined };
+        }
+        this.write(`${JSON.stringify(entry)}\n`);
+    }
+
+    debug(msg, fields) {
+        this.log('debug', msg, fields);
+    }
+
+    info(msg, fields) {
+        this.log('info', msg, fields);
+    }
+
+    warn(msg, fields) {
+        this.log('warn', msg, fields);
+    }
+
+    error(msg, fields) {
+        this.log('error', msg, fields);
+    }
+
+}
+
+// Logger shared by the modules, its level is set from `LOG_LEVEL`
+const logger = new Logger({ level: process.env.LOG_LEVEL });
+
+/**
+ * Express middleware giving every request an id and a child logger (`req.id`, `req.log`) and
+ * logging the request once the response is sent: method, path, status and duration (ms).
+ * @param {*} log the logger the request loggers are made from, the shared logger by default
+ */
+function requestLogger(log) {
+    log = log || logger;
+    return (req, res, next) => {
+        let header = req.get('X-Request-Id');
+        req.id = header && REQUEST_ID_FORMAT.test(header) ? header : crypto.randomUUID();
+        req.log = log.child({ requestId: req.id });
+        res.set('X-Request-Id', req.id);
+        let start = process.hrtime.bigint();
+        res.on('finish', () => {
+            req.log.info('request', {
+                method: req.method,
+                path: req.originalUrl,
+                status: res.statusCode,
+                duration: Number(process.hrtime.bigint() - start) / 1e6,
+                ip: req.ip
+            });
+        });
+        next();
+    };
+}
+
+module.exports.Logger = Logger;
+module.exports.logger = logger;
+module.exports.requestLogger = requestLogger;
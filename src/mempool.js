@@ -0,0 +1,72 @@
+/**
+ *                          Mempool Class
+ *  Collects the star transactions submitted and seals them into a single block when the batch
+ *  reaches `size` transactions or `interval` seconds after the first transaction of the batch
+ *  arrived, whichever comes first. With the default size of 1 every star is sealed right away.
+ */
+
+class Mempool {
+
+    /**
+     * `seal(transactions, onProgress)` is called with the transactions of the batch and must
+     * return a Promise that resolves with the block added.
+     * @param {*} options `{ size, interval }`
+     * @param {*} seal 
+     */
+    constructor(options, seal) {
+        options = options || {};
+        this.size = options.size || 1;
+        this.interval = options.interval || 0;
+        this.seal = seal;
+        this.batch = [];                            // [{ transaction, resolve, reject, onProgress }]
+        this.timer = null;
+    }
+
+    /**
+     * Add the transaction to the current batch. Resolves with the block it was sealed in.
+     * @param {*} transaction 
+     * @param {*} onProgress called with the mining progress of the block
+     */
+    add(transaction, onProgress) {
+        return new Promise((resolve, reject) => {
+            this.batch.push({ transaction: transaction, resolve: resolve, reject: reject, onProgress: onProgress });
+            // Errors reach every transaction of the batch through its own `reject`
+            if (this.batch.length >= this.size) {
+                this.flush().catch(() => {});
+            } else if (!this.timer && this.interval > 0) {
+                this.timer = setTimeout(() => this.flush().catch(() => {}), this.interval * 1000);
+            }
+        });
+    }
+
+    /**
+     * Seal the current batch now. Resolves with the block added, or `null` when the batch is empty.
+     */
+    flush() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        let batch = this.batch;
+        this.batch = [];
+        if (batch.length === 0) {
+            return Promise.resolve(null);
+        }
+        let onProgress = (progress) => batch.forEach(entry => entry.onProgress && entry.onProgress(progress));
+        return this.seal(batch.map(entry => entry.transaction), onProgress).then((block) => {
+            batch.forEach(entry => entry.resolve(block));
+            return block;
+        }, (error) => {
+            batch.forEach(entry => entry.reject(error));
+            throw error;
+        });
+    }
+
+    /**
+     * Return the transactions waiting to be sealed.
+     */
+    pending() {
+        return this.batch.map(entry => entry.transaction);
+    }
+
+}
+
+module.exports.Mempool = Mempool;
@@ -0,0 +1,89 @@
+/**
+ *                          Merkle tree
+ *  Helpers to commit to the list of star transactions of a block with a single hash (the
+ *  Merkle root stored in the block header) and to prove that one transaction is part of it.
+ *  The tree is built like the Certificate Transparency one (RFC 6962): a leaf is the SHA256 of
+ *  `0x00` followed by the bytes of its hex hash, a node the SHA256 of `0x01` followed by the bytes
+ *  of its two children, so a node can't pass for a leaf. The last hash of a level with an odd number
+ *  of hashes goes up as it is instead of being paired with itself, so a list of leaves whose last
+ *  one is repeated doesn't have the same root (CVE-2012-2459).
+ */
+
+const crypto = require('crypto');
+
+const LEAF_PREFIX = Buffer.from([0x00]);
+const NODE_PREFIX = Buffer.from([0x01]);
+
+function sha256(...parts) {
+    return crypto.createHash('sha256').update(Buffer.concat(parts)).digest('hex');
+}
+
+function hashLeaf(leaf) {
+    return sha256(LEAF_PREFIX, Buffer.from(leaf, 'hex'));
+}
+
+function hashPair(left, right) {
+    return sha256(NODE_PREFIX, Buffer.from(left, 'hex'), Buffer.from(right, 'hex'));
+}
+
+function nextLevel(level) {
+    let next = [];
+    for (let i = 0; i < level.length; i += 2) {
+        next.push(i + 1 < level.length ? hashPair(level[i], level[i + 1]) : level[i]);
+    }
+    return next;
+}
+
+/**
+ * Return the Merkle root of the leaves (list of hex hashes), `null` when there is no leaf.
+ * @param {*} leaves 
+ */
+function merkleRoot(leaves) {
+    if (leaves.length === 0) {
+        return null;
+    }
+    let level = leaves.map(hashLeaf);
+    while (level.length > 1) {
+        level = nextLevel(level);
+    }
+    return level[0];
+}
+
+/**
+ * Return the inclusion proof of the leaf at `index`: the list of sibling hashes from the leaf
+ * up to the root, each one with the side it is on (`{ hash, position: 'left' | 'right' }`).
+ * A level where the hash has no sibling adds no step.
+ * @param {*} leaves 
+ * @param {*} index 
+ */
+function merkleProof(leaves, index) {
+    let proof = [];
+    let level = leaves.map(hashLeaf);
+    while (level.length > 1) {
+        let sibling = index % 2 === 0 ? index + 1 : index - 1;
+        if (sibling < level.length) {
+            proof.push({ hash: level[sibling], position: index % 2 === 0 ? 'right' : 'left' });
+        }
+        level = nextLevel(level);
+        index = Math.floor(index / 2);
+    }
+    return proof;
+}
+
+/**
+ * Check the proof links the leaf to the Merkle root, this only needs the root from the block header.
+ * @param {*} leaf 
+ * @param {*} proof 
+ * @param {*} root 
+ */
+function verifyProof(leaf, proof, root) {
+    let hash = hashLeaf(leaf);
+    for (const step of proof) {
+        hash = step.position === 'left' ? hashPair(step.hash, hash) : hashPair(hash, step.hash);
+    }
+    return hash === root;
+}
+
+module.exports.merkleRoot = merkleRoot;
+module.exports.merkleProof = merkleProof;
+module.exports.verifyProof = verifyProof;
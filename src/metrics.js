@@ -0,0 +1,217 @@
+/**
+ *                          Metrics
+ *  Counters, gauges and histograms exposed in the Prometheus text format (`GET /metrics`).
+ *  `MetricsRegistry` holds the metrics and renders them, `NodeMetrics` defines the metrics of the node
+ *  and updates them from the events emitted by the Blockchain (see `./blockchain.js`):
+ *  - `starchain_chain_height` height of the chain
+ *  - `starchain_blocks_added_total` blocks added to the chain (mined locally or received from the peers)
+ *  - `starchain_reorgs_total` switches to a heavier branch
+ *  - `starchain_star_submissions_total{outcome}` star submissions, `accepted` or the reason of the
+ *    refusal (`expired`, `bad_signature`, `duplicate`, `replayed`, `bad_challenge`, `invalid_star`, `maintenance`, `error`)
+ *  - `starchain_validation_duration_seconds` duration of the chain validations
+ *  - `starchain_http_request_duration_seconds{method,route,status}` latency of the requests by route
+ */
+
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+// Outcome of a refused star submission by error code
+const SUBMISSION_OUTCOME = {
+    CHALLENGE_EXPIRED: 'expired',
+    SIGNATURE_MISMATCH: 'bad_signature',
+    MALFORMED_SIGNATURE: 'bad_signature',
+    INVALID_ADDRESS: 'bad_signature',
+    UNSUPPORTED_ADDRESS: 'bad_signature',
+    DUPLICATE_STAR: 'duplicate',
+    CHALLENGE_CONSUMED: 'replayed',
+    CHALLENGE_UNKNOWN: 'bad_challenge',
+    CHALLENGE_ADDRESS_MISMATCH: 'bad_challenge',
+    INVALID_STAR: 'invalid_star',
+    MAINTENANCE: 'maintenance'
+};
+
+class Metric {
+
+    constructor(type, name, help, labelNames) {
+        this.type = type;
+        this.name = name;
+        this.help = help;
+        this.labelNames = labelNames || [];
+        this.values = new Map();                    // Label values joined -> { labels, value }
+    }
+
+    _entry(labels, create) {
+        let values = this.labelNames.map(name => String((labels && labels[name]) === undefined ? '' : labels[name]));
+        let key = values.join('\u0000');
+        if (!this.values.has(key)) {
+            let entry = { labels: labelText(this.labelNames, values) };
+            Object.assign(entry, create());
+            this.values.set(key, entry);
+        }
+        return this.values.get(key);
+    }
+
+    lines() {
+        return [...this.values.values()].map(entry => `${this.name}${entry.labels ? `{${entry.labels}}` : ''} ${formatValue(entry.value)}`);
+    }
+
+}
+
+class Counter extends Metric {
+
+    constructor(name, help, labelNames) {
+        super('counter', name, help, labelNames);
+        if (this.labelNames.length === 0) {
+            this.inc({}, 0);
+        }
+    }
+
+    inc(labels, value) {
+        this._entry(labels, () => ({ value: 0 })).value += value === undefined ? 1 : value;
+    }
+
+}
+
+class Gauge extends Metric {
+
+    /**
+     * `collect` (optional) returns the value of the gauge when the metrics are rendered.
+     */
+    constructor(name, help, labelNames, collect) {
+        super('gauge', name, help, labelNames);
+        this.collect = collect || null;
+    }
+
+    set(labels, value) {
+        this._entry(labels, () => ({ value: 0 })).value = value;
+    }
+
+    lines() {
+        if (this.collect) {
+            this.set({}, this.collect());
+        }
+        return super.lines();
+    }
+
+}
+
+class Histogram extends Metric {
+
+    constructor(name, help, labelNames, buckets) {
+        super('histogram', name, help, labelNames);
+        this.buckets = buckets || DEFAULT_BUCKETS;
+        if (this.labelNames.length === 0) {
+            this._series({});
+        }
+    }
+
+    observe(labels, value) {
+        let entry = this._series(labels);
+        this.buckets.forEach((bound, index) => {
+            if (value <= bound) {
+                entry.counts[index]++;
+            }
+        });
+        entry.sum += value;
+        entry.count++;
+    }
+
+    _series(labels) {
+        return this._entry(labels, () => ({ counts: this.buckets.map(() => 0), sum: 0, count: 0 }));
+    }
+
+    lines() {
+        let lines = [];
+        for (const entry of this.values.values()) {
+            let prefix = entry.labels ? `${entry.labels},` : '';
+            this.buckets.forEach((bound, index) => lines.push(`${this.name}_bucket{${prefix}le="${bound}"} ${entry.counts[index]}`));
+            lines.push(`${this.name}_bucket{${prefix}le="+Inf"} ${entry.count}`);
+            lines.push(`${this.name}_sum${entry.labels ? `{${entry.labels}}` : ''} ${formatValue(entry.sum)}`);
+            lines.push(`${this.name}_count${entry.labels ? `{${entry.labels}}` : ''} ${entry.count}`);
+        }
+        return lines;
+    }
+
+}
+
+class MetricsRegistry {
+
+    constructor() {
+        this.metrics = [];
+    }
+
+    counter(name, help, labelNames) {
+        return this._register(new Counter(name, help, labelNames));
+    }
+
+    gauge(name, help, labelNames, collect) {
+        return this._register(new Gauge(name, help, labelNames, collect));
+    }
+
+    histogram(name, help, labelNames, buckets) {
+        return this._register(new Histogram(name, help, labelNames, buckets));
+    }
+
+    /**
+     * Render the metrics in the Prometheus text exposition format.
+     */
+    render() {
+        return this.metrics.map(metric => [`# HELP ${metric.name} ${metric.help}`, `# TYPE ${metric.name} ${metric.type}`].concat(metric.lines()).join('\n')).join('\n') + '\n';
+    }
+
+    _register(metric) {
+        this.metrics.push(metric);
+        return metric;
+    }
+
+}
+
+class NodeMetrics {
+
+    constructor(blockchain) {
+        let registry = new MetricsRegistry();
+        this.registry = registry;
+        registry.gauge('starchain_chain_height', 'Height of the chain', [], () => blockchain.height);
+        let blocksAdded = registry.counter('starchain_blocks_added_total', 'Blocks added to the chain');
+        let reorgs = registry.counter('starchain_reorgs_total', 'Switches to a heavier branch');
+        let submissions = registry.counter('starchain_star_submissions_total', 'Star submissions by outcome', ['outcome']);
+        let validations = registry.histogram('starchain_validation_duration_seconds', 'Duration of the chain validations');
+        this.requests = registry.histogram('starchain_http_request_duration_seconds', 'Latency of the HTTP requests', ['method', 'route', 'status']);
+        blockchain.on('blockAdded', () => blocksAdded.inc());
+        blockchain.on('chainReorganized', () => reorgs.inc());
+        blockchain.on('starSubmitted', () => submissions.inc({ outcome: 'accepted' }));
+        blockchain.on('starRejected', (rejection) => submissions.inc({ outcome: SUBMISSION_OUTCOME[rejection.code] || 'error' }));
+        blockchain.on('chainValidated', (validation) => validations.observe({}, validation.duration));
+    }
+
+    /**
+     * Express middleware measuring the latency of the requests, labelled by the path of the
+     * route that answered (`unmatched` when none did).
+     */
+    middleware() {
+        return (req, res, next) => {
+            let start = process.hrtime.bigint();
+            res.on('finish', () => {
+                let route = req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched';
+                this.requests.observe({ method: req.method, route: route, status: res.statusCode }, Number(process.hrtime.bigint() - start) / 1e9);
+            });
+            next();
+        };
+    }
+
+    render() {
+        return this.registry.render();
+    }
+
+}
+
+function labelText(names, values) {
+    return names.map((name, index) => `${name}="${values[index].replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"')}"`).join(',');
+}
+
+function formatValue(value) {
+    return Number.isFinite(value) ? String(value) : value > 0 ? '+Inf' : value < 0 ? '-Inf' : 'NaN';
+}
+
+module.exports.MetricsRegistry = MetricsRegistry;
+module.exports.NodeMetrics = NodeMetrics;
+module.exports.SUBMISSION_OUTCOME = SUBMISSION_OUTCOME;
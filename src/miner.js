@@ -0,0 +1,102 @@
+/**
+ *                          Miner Class
+ *  Searches for the nonce that makes the block hash start with `difficulty` zeros, the hash being
+ *  computed with the algorithm of the block version (see `./hashing.js`).
+ *  The search runs in a worker thread (this same file is loaded as the worker script) so
+ *  the Express event loop keeps serving requests while a block is being mined.
+ */
+
+const { Worker, isMainThread, parentPort, workerData } = require('worker_threads');
+const { blockHasher } = require('./hashing.js');
+
+const PROGRESS_INTERVAL = 5000;                    // Number of attempts between two progress reports
+const MAX_DIFFICULTY = 6;                          // Every step multiplies the attempts by 16, past 6 a block takes hours
+
+class Miner {
+
+    constructor() {
+        this.current = null;                       // Progress of the block being mined
+        this.blocksMined = 0;
+    }
+
+    /**
+     * Mine the block passed as parameter. The method will return a Promise that will resolve
+     * with `{ nonce, hash, attempts }` once a hash satisfying the difficulty has been found.
+     * `onProgress` (optional) is called with `{ height, difficulty, attempts }` while mining.
+     * @param {*} block 
+     * @param {*} difficulty 
+     * @param {*} onProgress 
+     */
+    mine(block, difficulty, onProgress) {
+        let self = this;
+        return new Promise((resolve, reject) => {
+            let data = JSON.parse(JSON.stringify(block));
+            let worker = new Worker(__filename, { workerData: { block: data, difficulty: difficulty } });
+            self.current = { height: block.height, difficulty: difficulty, attempts: 0, startedAt: Date.now() };
+            let finish = (error, result) => {
+                self.current = null;
+                worker.removeAllListeners();
+                if (error) {
+                    return reject(error);
+                }
+                self.blocksMined++;
+                resolve(result);
+            };
+            worker.on('message', (message) => {
+                if (message.type === 'progress') {
+                    self.current.attempts = message.attempts;
+                    if (onProgress) {
+                        onProgress({ height: block.height, difficulty: difficulty, attempts: message.attempts });
+                    }
+                } else if (message.type === 'done') {
+                    finish(null, { nonce: message.nonce, hash: message.hash, attempts: message.attempts });
+                }
+            });
+            worker.on('error', (error) => finish(error));
+            worker.on('exit', (code) => {
+                if (self.current) {
+                    finish(new Error(`Miner worker stopped with exit code ${code}`));
+                }
+            });
+        });
+    }
+
+    /**
+     * Return the progress of the block being mined, or `null` when the miner is idle.
+     */
+    status() {
+        if (!this.current) {
+            return null;
+        }
+        let elapsed = (Date.now() - this.current.startedAt) / 1000;
+        return {
+            height: this.current.height,
+            difficulty: this.current.difficulty,
+            attempts: this.current.attempts,
+            elapsed: elapsed,
+            hashRate: elapsed > 0 ? Math.round(this.current.attempts / elapsed) : 0
+        };
+    }
+
+}
+
+if (!isMainThread && workerData && workerData.block) {
+    let block = workerData.block;
+    let target = '0'.repeat(workerData.difficulty);
+    let hasher = blockHasher(block);
+    let nonce = 0;
+    for (;;) {
+        let hash = hasher(nonce);
+        if (hash.startsWith(target)) {
+            parentPort.postMessage({ type: 'done', nonce: nonce, hash: hash, attempts: nonce + 1 });
+            break;
+        }
+        nonce++;
+        if (nonce % PROGRESS_INTERVAL === 0) {
+            parentPort.postMessage({ type: 'progress', attempts: nonce });
+        }
+    }
+}
+
+module.exports.Miner = Miner;
+module.exports.MAX_DIFFICULTY = MAX_DIFFICULTY;
@@ -0,0 +1,179 @@
+/**
+ *                          PeerNetwork Class
+ *  Connects the node to other nodes running the same application:
+ *  - peers are registered by URL (`http://host:port`), the registration is made in both directions
+ *    when the node knows its own URL (`options.selfUrl`)
+ *  - every block added to the local chain is broadcast to the peers (`POST /peers/blocks`)
+ *  - missing blocks are pulled from the peers (`GET /chain/since/:height`) when a peer is
+ *    registered, when the parent of a received block is unknown and every `options.syncInterval`
+ *  - when the chains diverge the blocks of the peer are kept on a branch and the node switches to
+ *    the heaviest branch (`Blockchain.acceptBlock`), a peer chain with another Genesis Block is
+ *    adopted when it's heavier and fully valid (`Blockchain.replaceChain`)
+ *  When the peers require an API key (see `./auth.js`) it's sent with every request (`options.apiKey`).
+ */
+
+const { requestJSON } = require('./http.js');
+const { logger } = require('./logger.js');
+
+class PeerNetwork {
+
+    /**
+     * `options.selfUrl` is the URL the peers can reach this node at,
+     * `options.syncInterval` how often (in seconds) the peers are polled, 0 to disable it (default 30),
+     * `options.timeout` the timeout (in milliseconds) of the requests made to the peers (default 5000),
+     * `options.apiKey` the API key (with the `peer` role) sent to the peers,
+     * `options.logger` the logger of the node (the shared logger by default).
+     * @param {*} blockchain 
+     * @param {*} options 
+     */
+    constructor(blockchain, options) {
+        options = options || {};
+        this.blockchain = blockchain;
+        this.selfUrl = options.selfUrl ? this._normalize(options.selfUrl) : null;
+        this.timeout = options.timeout || 5000;
+        this.apiKey = options.apiKey || null;
+        this.logger = options.logger || logger;
+        this.peers = new Set();
+        this.blockchain.on('blockAdded', (block) => this.broadcast(block));
+        this.timer = null;
+        let syncInterval = options.syncInterval === undefined ? 30 : options.syncInterval;
+        if (syncInterval > 0) {
+            this.timer = setInterval(() => this.syncAll(), syncInterval * 1000);
+            this.timer.unref();
+        }
+    }
+
+    /**
+     * Register a peer and pull the blocks it has and we don't. Resolves with the list of peers.
+     * @param {*} url 
+     * @param {*} context `{ requestId }` of the request registering the peer (optional)
+     */
+    async addPeer(url, context) {
+        let peer = this._normalize(url);
+        if (peer === this.selfUrl || this.peers.has(peer)) {
+            return this.getPeers();
+        }
+        this.peers.add(peer);
+        if (this.selfUrl) {
+            await this._request('POST', `${peer}/peers`, { url: this.selfUrl }).catch((error) => {
+                this._log(context).warn('Unable to register with the peer', { peer: peer, error: error });
+            });
+        }
+        await this.sync(peer, context);
+        return this.getPeers();
+    }
+
+    /**
+     * Stop exchanging blocks with a peer. Resolves with the list of peers.
+     * @param {*} url 
+     */
+    async removePeer(url) {
+        this.peers.delete(this._normalize(url));
+        return this.getPeers();
+    }
+
+    getPeers() {
+        return [...this.peers];
+    }
+
+    /**
+     * Send the block to every peer, the peers that can't be reached are only logged.
+     * @param {*} block 
+     */
+    broadcast(block) {
+        let self = this;
+        return Promise.all(self.getPeers().map(peer => {
+            return self._request('POST', `${peer}/peers/blocks`, { block: block, from: self.selfUrl }).catch((error) => {
+                self.logger.warn('Unable to send the block to the peer', { peer: peer, height: block.height, error: error });
+            });
+        }));
+    }
+
+    /**
+     * Handle a block broadcast by a peer. The block is added to the chain or to a branch (see
+     * `Blockchain.acceptBlock`), an orphan triggers a sync with the peer that sent it to fetch its parents.
+     * Resolves with `accepted`, `fork`, `reorganized`, `orphan`, `known`, `synced` or `rejected`.
+     * @param {*} block 
+     * @param {*} from URL of the peer that sent the block
+     * @param {*} context `{ requestId }` of the request delivering the block (optional)
+     */
+    async receiveBlock(block, from, context) {
+        let blockchain = this.blockchain;
+        await blockchain.ready;
+        if (!block || blockchain.tree.has(block.hash)) {
+            return 'known';
+        }
+        let result;
+        try {
+            result = await blockchain.acceptBlock(block, context);
+        } catch (error) {
+            this._log(context).warn('Refused the block of the peer', { peer: from, hash: block.hash, error: error });
+            return 'rejected';
+        }
+        if (result.status === 'orphan' && from) {
+            return (await this.sync(this._normalize(from), context)) ? 'synced' : 'orphan';
+        }
+        return result.status === 'extended' ? 'accepted' : result.status;
+    }
+
+    /**
+     * Pull the blocks of the peer missing in the local chain. When the first missing block doesn't
+     * build on a known block the chains diverged further back: the whole peer chain is fetched and
+     * its blocks are added to the tree, or adopted with `replaceChain()` when its Genesis Block is
+     * another one. Resolves with true when the local chain changed.
+     * @param {*} peer 
+     * @param {*} context `{ requestId }` of the request that led to the sync (optional)
+     */
+    async sync(peer, context) {
+        let blockchain = this.blockchain;
+        await blockchain.ready;
+        try {
+            let missing = await this._request('GET', `${peer}/chain/since/${blockchain.chain.length}`);
+            if (!missing.blocks || missing.blocks.length === 0) {
+                return false;
+            }
+            let blocks = missing.blocks;
+            if (!blockchain.tree.has(blocks[0].previousBlockHash)) {
+                blocks = (await this._request('GET', `${peer}/chain/since/0`)).blocks;
+                if (blocks[0].hash !== blockchain.chain[0].hash) {
+                    await blockchain.replaceChain(blocks, context);
+                    return true;
+                }
+            }
+            let changed = false;
+            for (const block of blocks) {
+                let result = await blockchain.acceptBlock(block, context);
+                changed = changed || result.status === 'extended' || result.status === 'reorganized';
+            }
+            return changed;
+        } catch (error) {
+            this._log(context).warn('Unable to sync with the peer', { peer: peer, error: error });
+            return false;
+        }
+    }
+
+    syncAll() {
+        return Promise.all(this.getPeers().map(peer => this.sync(peer)));
+    }
+
+    stop() {
+        clearInterval(this.timer);
+    }
+
+    // The logger of the node, carrying the `requestId` of the context when there is one
+    _log(context) {
+        return context && context.requestId ? this.logger.child({ requestId: context.requestId }) : this.logger;
+    }
+
+    _normalize(url) {
+        let parsed = new URL(url);
+        return `${parsed.protocol}//${parsed.host}`;
+    }
+
+    _request(method, url, body) {
+        return requestJSON(method, url, body, this.timeout, this.apiKey ? { 'X-API-Key': this.apiKey } : undefined);
+    }
+
+}
+
+module.exports.PeerNetwork = PeerNetwork;
@@ -0,0 +1,103 @@
+/**
+ *                          OpenAPI document
+ *  Builds the OpenAPI 3 description of the REST Api from the route definitions registered by the
+ *  controller: `{ method, path, role, rateLimited, multipart, summary, params, query, body, responses }`,
+ *  where `params`, `query` and `body` are the schemas validating the request (see `./schema.js`),
+ *  `multipart` tells the body is a `multipart/form-data` form with a `file` and `responses` is the
+ *  description of each status. The errors shared by every route (invalid request,
+ *  API key, rate limit, internal error) are added from the definition.
+ */
+
+const ERROR_SCHEMA = {
+    type: 'object',
+    required: ['code', 'message', 'details'],
+    properties: {
+        code: { type: 'string', description: 'Machine readable code of the error' },
+        message: { type: 'string' },
+        details: { type: 'object', nullable: true, description: 'Data about the error, depends on the code' }
+    }
+};
+
+/**
+ * Return the OpenAPI document of the `routes`, `info` is `{ title, version, description }`.
+ * @param {*} routes
+ * @param {*} info
+ */
+function buildOpenApi(routes, info) {
+    let paths = {};
+    for (const route of routes) {
+        let path = route.path.replace(/:(\w+)/g, '{$1}');
+        paths[path] = paths[path] || {};
+        paths[path][route.method] = operation(route);
+    }
+    return {
+        openapi: '3.0.3',
+        info: info,
+        paths: paths,
+        components: {
+            schemas: { Error: ERROR_SCHEMA },
+            securitySchemes: { apiKey: { type: 'apiKey', in: 'header', name: 'X-API-Key' } }
+        }
+    };
+}
+
+function operation(route) {
+    let parameters = [];
+    for (const [name, schema] of Object.entries(route.params || {})) {
+        parameters.push({ name: name, in: 'path', required: true, schema: schema });
+    }
+    for (const [name, schema] of Object.entries(route.query || {})) {
+        parameters.push({ name: name, in: 'query', required: false, schema: schema });
+    }
+    let responses = {};
+    for (const [status, description] of Object.entries(errorResponses(route))) {
+        responses[status] = errorResponse(description);
+    }
+    for (const [status, description] of Object.entries(route.responses || {})) {
+        responses[status] = status >= 400 ? errorResponse(description) : { description: description };
+    }
+    let result = { summary: route.summary, parameters: parameters, responses: sortByStatus(responses) };
+    if (route.multipart) {
+        let schema = Object.assign({}, route.body, {
+            required: (route.body.required || []).concat('file'),
+            properties: Object.assign({}, route.body.properties, { file: { type: 'string', format: 'binary' } })
+        });
+        result.requestBody = { required: true, content: { 'multipart/form-data': { schema: schema } } };
+    } else if (route.body) {
+        result.requestBody = { required: true, content: { 'application/json': { schema: route.body } } };
+    }
+    if (route.role) {
+        result.security = [{ apiKey: [] }, {}];
+        result['x-role'] = route.role;
+    }
+    return result;
+}
+
+// Errors every route of the kind can answer with
+function errorResponses(route) {
+    let responses = {};
+    if (route.params || route.query || route.body) {
+        responses[400] = 'The request is not valid (`INVALID_REQUEST`, `INVALID_BODY`)';
+    }
+    if (route.role) {
+        responses[401] = 'The route needs an API key (`API_KEY_REQUIRED`, `API_KEY_INVALID`)';
+        responses[403] = `The API key doesn't have the ${route.role} role (\`FORBIDDEN\`)`;
+    }
+    if (route.rateLimited) {
+        responses[429] = 'Too many requests (`RATE_LIMITED`), see the `Retry-After` header';
+    }
+    responses[500] = 'Internal error (`INTERNAL_ERROR`)';
+    return responses;
+}
+
+function errorResponse(description) {
+    return { description: description, content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } } };
+}
+
+function sortByStatus(responses) {
+    let sorted = {};
+    Object.keys(responses).sort().forEach(status => sorted[status] = responses[status]);
+    return sorted;
+}
+
+module.exports.buildOpenApi = buildOpenApi;
@@ -0,0 +1,131 @@
+/**
+ *                          Private star stories
+ *  A private star keeps its coordinates public but replaces its story with
+ *  `private: { commitment, ciphertext }`:
+ *  - `commitment` is the SHA256 of `<salt>:<story>` (hex), `salt` being random hex chosen by the owner
+ *    so short stories can't be guessed from the commitment
+ *  - `ciphertext` is the story and its salt encrypted by the owner before submitting the star, the
+ *    node never sees the plain text. `encryptStory()` encrypts with AES-256-GCM under a key derived
+ *    from the owner's private key, so only the owner can decrypt it.
+ *  The current owner can later reveal the story: the reveal is stored as a block whose body is
+ *  `{ type: 'reveal', star, from, story, salt, message, signature }`, where `signature` is the
+ *  signature of the text built by `revealMessage()` and `story` must match the commitment.
+ */
+
+const crypto = require('crypto');
+const { verifySignature } = require('./signature.js');
+const { BlockchainError } = require('./errors.js');
+
+const REVEAL_TYPE = 'reveal';
+
+const REVEAL_ERROR = {
+    STAR_NOT_FOUND: 'STAR_NOT_FOUND',               // No star registered with that id
+    NOT_PRIVATE: 'STAR_NOT_PRIVATE',                // The story of the star is already public
+    NOT_OWNER: 'NOT_OWNER',                         // The signer isn't the current owner of the star
+    COMMITMENT_MISMATCH: 'COMMITMENT_MISMATCH',     // The story and the salt don't match the commitment
+    ALREADY_REVEALED: 'STAR_ALREADY_REVEALED'       // The story has already been revealed or is being revealed
+};
+
+// HTTP status of each reveal error
+const REVEAL_STATUS = {
+    [REVEAL_ERROR.STAR_NOT_FOUND]: 404,
+    [REVEAL_ERROR.NOT_PRIVATE]: 400,
+    [REVEAL_ERROR.NOT_OWNER]: 403,
+    [REVEAL_ERROR.COMMITMENT_MISMATCH]: 400,
+    [REVEAL_ERROR.ALREADY_REVEALED]: 409
+};
+
+const KEY_CONTEXT = 'starRegistry:story';
+
+class RevealError extends BlockchainError {
+
+    constructor(code, message) {
+        super(code, message, null, REVEAL_STATUS[code]);
+    }
+
+}
+
+/**
+ * Return the commitment to the story, the SHA256 of `<salt>:<story>` in hex.
+ * @param {*} story
+ * @param {*} salt
+ */
+function storyCommitment(story, salt) {
+    return crypto.createHash('sha256').update(`${salt}:${story}`, 'utf8').digest('hex');
+}
+
+/**
+ * Encrypt the story for the owner of `privateKey` (Buffer of 32 bytes) with a new random salt.
+ * Returns `{ private: { commitment, ciphertext }, salt }`, `private` goes in the star submitted.
+ * @param {*} story
+ * @param {*} privateKey
+ */
+function encryptStory(story, privateKey) {
+    let salt = crypto.randomBytes(16).toString('hex');
+    let iv = crypto.randomBytes(12);
+    let cipher = crypto.createCipheriv('aes-256-gcm', storyKey(privateKey), iv);
+    let encrypted = Buffer.concat([cipher.update(JSON.stringify({ story: story, salt: salt }), 'utf8'), cipher.final()]);
+    return {
+        private: { commitment: storyCommitment(story, salt), ciphertext: Buffer.concat([iv, cipher.getAuthTag(), encrypted]).toString('base64') },
+        salt: salt
+    };
+}
+
+/**
+ * Decrypt the `ciphertext` of a private star with the owner's `privateKey`, returns `{ story, salt }`.
+ * Throws when the key isn't the one the story was encrypted for.
+ * @param {*} ciphertext
+ * @param {*} privateKey
+ */
+function decryptStory(ciphertext, privateKey) {
+    let data = Buffer.from(ciphertext, 'base64');
+    let decipher = crypto.createDecipheriv('aes-256-gcm', storyKey(privateKey), data.subarray(0, 12));
+    decipher.setAuthTag(data.subarray(12, 28));
+    return JSON.parse(Buffer.concat([decipher.update(data.subarray(28)), decipher.final()]).toString('utf8'));
+}
+
+function storyKey(privateKey) {
+    return crypto.createHmac('sha256', privateKey).update(KEY_CONTEXT).digest();
+}
+
+/**
+ * Build the text the current owner has to sign to reveal the story of the star.
+ * @param {*} message challenge issued to the current owner
+ * @param {*} starId
+ */
+function revealMessage(message, starId) {
+    return `${message}:reveal:${starId}`;
+}
+
+/**
+ * Check whether the decoded block body is a reveal.
+ * @param {*} data
+ */
+function isReveal(data) {
+    return !!data && data.type === REVEAL_TYPE;
+}
+
+/**
+ * Verify the signature stored in a reveal body, returns false instead of throwing
+ * when the address or the signature are malformed.
+ * @param {*} reveal
+ * @param {*} network bitcoinjs-lib network of the addresses, Bitcoin mainnet by default
+ */
+function verifyReveal(reveal, network) {
+    try {
+        verifySignature(revealMessage(reveal.message, reveal.star), reveal.from, reveal.signature, network);
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+module.exports.REVEAL_TYPE = REVEAL_TYPE;
+module.exports.REVEAL_ERROR = REVEAL_ERROR;
+module.exports.RevealError = RevealError;
+module.exports.storyCommitment = storyCommitment;
+module.exports.encryptStory = encryptStory;
+module.exports.decryptStory = decryptStory;
+module.exports.revealMessage = revealMessage;
+module.exports.isReveal = isReveal;
+module.exports.verifyReveal = verifyReveal;
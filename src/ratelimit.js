@@ -0,0 +1,60 @@
+/**
+ *                          RateLimiter Class
+ *  Counts the requests made by a client (an IP address, a wallet address...) in fixed windows of
+ *  `window` seconds and refuses them once `limit` is reached, until the window ends.
+ *  The windows of the clients that stopped sending requests are swept in the background.
+ */
+
+class RateLimiter {
+
+    /**
+     * `options.limit` is the number of requests allowed per window, `options.window` its length in seconds.
+     * @param {*} options
+     */
+    constructor(options) {
+        options = options || {};
+        this.limit = options.limit || 10;
+        this.window = options.window || 60;
+        this.windows = new Map();                   // { start, count } by client
+        this.timer = setInterval(() => this.sweep(), this.window * 1000);
+        this.timer.unref();
+    }
+
+    /**
+     * Count a request of the client. Returns 0 when it's allowed, otherwise the number of
+     * seconds before the client can try again (the `Retry-After` of the response).
+     * @param {*} client
+     */
+    take(client) {
+        let now = Date.now();
+        let current = this.windows.get(client);
+        if (!current || now - current.start >= this.window * 1000) {
+            current = { start: now, count: 0 };
+            this.windows.set(client, current);
+        }
+        if (current.count >= this.limit) {
+            return Math.max(1, Math.ceil((current.start + this.window * 1000 - now) / 1000));
+        }
+        current.count++;
+        return 0;
+    }
+
+    /**
+     * Remove the windows that ended.
+     */
+    sweep() {
+        let limit = Date.now() - this.window * 1000;
+        for (const [client, current] of this.windows) {
+            if (current.start <= limit) {
+                this.windows.delete(client);
+            }
+        }
+    }
+
+    stop() {
+        clearInterval(this.timer);
+    }
+
+}
+
+module.exports.RateLimiter = RateLimiter;
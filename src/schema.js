@@ -0,0 +1,117 @@
+/**
+ *                          Request schemas
+ *  The parameters, the query and the body of the requests are described with a subset of JSON Schema:
+ *  `type` (string, integer, number, boolean, object, array), `required`, `properties`, `items`, `enum`,
+ *  `minimum`, `maximum`, `minLength`, `maxLength`, `pattern` and `format: 'uri'`. The same schemas
+ *  validate the requests and describe the routes in the OpenAPI document (see `./openapi.js`).
+ */
+
+/**
+ * Return the errors of `value` against `schema`, `[{ field, message }]` (empty when it's valid).
+ * `field` is the name of the value in the messages (`body.address`, `query.limit`...).
+ * @param {*} schema
+ * @param {*} value
+ * @param {*} field
+ */
+function validate(schema, value, field) {
+    let errors = [];
+    if (!typeMatches(schema.type, value)) {
+        return [{ field: field, message: `must be ${article(schema.type)} ${schema.type}` }];
+    }
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push({ field: field, message: `must be one of ${schema.enum.join(', ')}` });
+    }
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            errors.push({ field: field, message: `must be greater than or equal to ${schema.minimum}` });
+        }
+        if (schema.maximum !== undefined && value > schema.maximum) {
+            errors.push({ field: field, message: `must be less than or equal to ${schema.maximum}` });
+        }
+    }
+    if (typeof value === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) {
+            errors.push({ field: field, message: schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters long` });
+        }
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+            errors.push({ field: field, message: `must be at most ${schema.maxLength} characters long` });
+        }
+        if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+            errors.push({ field: field, message: `must match ${schema.pattern}` });
+        }
+        if (schema.format === 'uri' && !isUri(value)) {
+            errors.push({ field: field, message: 'must be a valid URL' });
+        }
+    }
+    if (schema.type === 'object') {
+        for (const name of schema.required || []) {
+            if (value[name] === undefined || value[name] === null || value[name] === '') {
+                errors.push({ field: `${field}.${name}`, message: 'is required' });
+            }
+        }
+        for (const [name, property] of Object.entries(schema.properties || {})) {
+            if (value[name] !== undefined && value[name] !== null && value[name] !== '') {
+                errors.push(...validate(property, value[name], `${field}.${name}`));
+            }
+        }
+    }
+    if (schema.type === 'array' && schema.items) {
+        value.forEach((item, index) => errors.push(...validate(schema.items, item, `${field}[${index}]`)));
+    }
+    return errors;
+}
+
+/**
+ * Convert a value read from the path or the query string to the type of its schema.
+ * A value that can't be converted is returned as is, `validate()` reports it.
+ * @param {*} schema
+ * @param {*} value
+ */
+function coerce(schema, value) {
+    if (typeof value !== 'string') {
+        return value;
+    }
+    if (schema.type === 'integer' && /^-?\d+$/.test(value)) {
+        return parseInt(value);
+    }
+    if (schema.type === 'number' && value.trim() !== '' && !isNaN(Number(value))) {
+        return Number(value);
+    }
+    if (schema.type === 'boolean' && (value === 'true' || value === 'false')) {
+        return value === 'true';
+    }
+    return value;
+}
+
+function typeMatches(type, value) {
+    switch (type) {
+        case undefined:
+            return true;
+        case 'integer':
+            return Number.isInteger(value);
+        case 'number':
+            return typeof value === 'number' && Number.isFinite(value);
+        case 'object':
+            return typeof value === 'object' && value !== null && !Array.isArray(value);
+        case 'array':
+            return Array.isArray(value);
+        default:
+            return typeof value === type;
+    }
+}
+
+function article(type) {
+    return /^[aeiou]/.test(type) ? 'an' : 'a';
+}
+
+function isUri(value) {
+    try {
+        new URL(value);
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+module.exports.validate = validate;
+module.exports.coerce = coerce;
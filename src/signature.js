@@ -0,0 +1,321 @@
+/**
+ *                          Message signatures
+ *  Verifies that a message was signed by the owner of a Bitcoin address. The type of the address
+ *  is detected from the address itself and decides which signatures are accepted:
+ *  - P2PKH (`1…`), P2SH-P2WPKH (`3…`) and P2WPKH (`bc1q…`): the signatures made by `signmessage`
+ *    in Bitcoin Core, Electrum and hardware wallets (65 bytes, BIP-137 header byte)
+ *  - P2WPKH and P2TR (`bc1p…`): BIP-322 "simple" signatures (the serialized witness of the
+ *    virtual transaction spending the address), only the key path for Taproot
+ *  Addresses must belong to the configured network (`bitcoin`, `testnet` or `regtest`).
+ */
+
+const crypto = require('crypto');
+const bitcoin = require('bitcoinjs-lib');
+const bitcoinMessage = require('bitcoinjs-message');
+const ecc = require('tiny-secp256k1');
+const { BlockchainError } = require('./errors.js');
+
+const ADDRESS_TYPE = {
+    P2PKH: 'p2pkh',
+    P2SH_P2WPKH: 'p2sh-p2wpkh',
+    P2WPKH: 'p2wpkh',
+    P2TR: 'p2tr'
+};
+
+const SIGNATURE_ERROR = {
+    INVALID_ADDRESS: 'INVALID_ADDRESS',             // Not an address of the configured network
+    UNSUPPORTED_ADDRESS: 'UNSUPPORTED_ADDRESS',     // A valid address of a type that can't sign messages (P2WSH, ...)
+    MALFORMED_SIGNATURE: 'MALFORMED_SIGNATURE',     // The signature can't be decoded or doesn't suit the address type
+    SIGNATURE_MISMATCH: 'SIGNATURE_MISMATCH'        // The signature is well formed but not made by the address
+};
+
+const BIP322_TAG = 'BIP0322-signed-message';
+const SIGHASH_DEFAULT = 0x00;
+
+// HTTP status of each signature error
+const SIGNATURE_STATUS = {
+    [SIGNATURE_ERROR.INVALID_ADDRESS]: 400,
+    [SIGNATURE_ERROR.UNSUPPORTED_ADDRESS]: 400,
+    [SIGNATURE_ERROR.MALFORMED_SIGNATURE]: 400,
+    [SIGNATURE_ERROR.SIGNATURE_MISMATCH]: 401
+};
+
+class SignatureError extends BlockchainError {
+
+    constructor(code, message, addressType) {
+        super(code, message, { addressType: addressType || null }, SIGNATURE_STATUS[code]);
+        this.addressType = addressType || null;
+    }
+
+}
+
+/**
+ * Resolve a network name (`bitcoin`, `testnet` or `regtest`) to its bitcoinjs-lib parameters.
+ * @param {*} name
+ */
+function getNetwork(name) {
+    let network = bitcoin.networks[name || 'bitcoin'];
+    if (!network) {
+        throw new Error(`Unknown network ${name}, expected bitcoin, testnet or regtest`);
+    }
+    return network;
+}
+
+function networkName(network) {
+    return Object.keys(bitcoin.networks).find(name => bitcoin.networks[name] === network) || 'configured';
+}
+
+/**
+ * Detect the type of the address (see `ADDRESS_TYPE`), throws a `SignatureError` when the address
+ * isn't an address of the network or can't be used to sign messages.
+ * @param {*} address
+ * @param {*} network bitcoinjs-lib network, Bitcoin mainnet by default
+ */
+function detectAddressType(address, network) {
+    network = network || bitcoin.networks.bitcoin;
+    if (typeof address !== 'string' || address.length === 0) {
+        throw new SignatureError(SIGNATURE_ERROR.INVALID_ADDRESS, 'The address is missing');
+    }
+    let decoded = null;
+    try {
+        decoded = bitcoin.address.fromBase58Check(address);
+    } catch (error) {
+        decoded = null;
+    }
+    if (decoded) {
+        // A P2SH address doesn't tell what its script is, P2SH-P2WPKH is the only one signing messages
+        if (decoded.version === network.pubKeyHash) {
+            return ADDRESS_TYPE.P2PKH;
+        }
+        if (decoded.version === network.scriptHash) {
+            return ADDRESS_TYPE.P2SH_P2WPKH;
+        }
+        throw new SignatureError(SIGNATURE_ERROR.INVALID_ADDRESS, `${address} is not a ${networkName(network)} address`);
+    }
+    try {
+        decoded = bitcoin.address.fromBech32(address);
+    } catch (error) {
+        throw new SignatureError(SIGNATURE_ERROR.INVALID_ADDRESS, `${address} is neither a Base58 nor a Bech32 address`);
+    }
+    if (decoded.prefix !== network.bech32) {
+        throw new SignatureError(SIGNATURE_ERROR.INVALID_ADDRESS, `${address} is not a ${networkName(network)} address`);
+    }
+    if (decoded.version === 0 && decoded.data.length === 20) {
+        return ADDRESS_TYPE.P2WPKH;
+    }
+    if (decoded.version === 1 && decoded.data.length === 32) {
+        return ADDRESS_TYPE.P2TR;
+    }
+    throw new SignatureError(SIGNATURE_ERROR.UNSUPPORTED_ADDRESS,
+        `Witness version ${decoded.version} addresses with a ${decoded.data.length} bytes program can't be used to sign messages`);
+}
+
+/**
+ * Verify the base64 `signature` of `message` by `address`. The method returns the detected address
+ * type when the signature is valid and throws a `SignatureError` (which carries the detected
+ * `addressType`) explaining why it isn't.
+ * @param {*} message
+ * @param {*} address
+ * @param {*} signature
+ * @param {*} network bitcoinjs-lib network, Bitcoin mainnet by default
+ */
+function verifySignature(message, address, signature, network) {
+    network = network || bitcoin.networks.bitcoin;
+    let type = detectAddressType(address, network);
+    let fail = (code, reason) => new SignatureError(code, reason, type);
+    let buffer = typeof signature === 'string' && /^[A-Za-z0-9+/]+={0,2}$/.test(signature) ? Buffer.from(signature, 'base64') : null;
+    if (!buffer) {
+        throw fail(SIGNATURE_ERROR.MALFORMED_SIGNATURE, 'The signature must be base64 encoded');
+    }
+    let valid = buffer.length === 65 ? verifyCompact(message, address, type, buffer, network, fail)
+        : verifyBip322(message, address, type, buffer, fail);
+    if (!valid) {
+        throw fail(SIGNATURE_ERROR.SIGNATURE_MISMATCH, `The signature doesn't match the ${type} address ${address} and the message`);
+    }
+    return type;
+}
+
+// The header byte of a compact signature: 27-30 uncompressed P2PKH, 31-34 compressed P2PKH
+// (also used by Electrum for SegWit addresses), 35-38 P2SH-P2WPKH and 39-42 P2WPKH
+function verifyCompact(message, address, type, buffer, network, fail) {
+    let header = buffer[0];
+    if (header < 27 || header > 42) {
+        throw fail(SIGNATURE_ERROR.MALFORMED_SIGNATURE, `Invalid signature header byte ${header}`);
+    }
+    if (type === ADDRESS_TYPE.P2TR) {
+        throw fail(SIGNATURE_ERROR.MALFORMED_SIGNATURE, 'Taproot addresses need a BIP-322 signature');
+    }
+    let signedType = header >= 39 ? ADDRESS_TYPE.P2WPKH : header >= 35 ? ADDRESS_TYPE.P2SH_P2WPKH : null;
+    if (signedType && signedType !== type) {
+        throw fail(SIGNATURE_ERROR.SIGNATURE_MISMATCH, `The signature was made for a ${signedType} address`);
+    }
+    if (type !== ADDRESS_TYPE.P2PKH && header < 31) {
+        throw fail(SIGNATURE_ERROR.SIGNATURE_MISMATCH, 'SegWit addresses need a signature made with a compressed key');
+    }
+    try {
+        return bitcoinMessage.verify(message, address, buffer, network.messagePrefix, type !== ADDRESS_TYPE.P2PKH && !signedType);
+    } catch (error) {
+        throw fail(SIGNATURE_ERROR.MALFORMED_SIGNATURE, `The signature can't be decoded: ${error.message}`);
+    }
+}
+
+function verifyBip322(message, address, type, buffer, fail) {
+    if (type !== ADDRESS_TYPE.P2WPKH && type !== ADDRESS_TYPE.P2TR) {
+        throw fail(SIGNATURE_ERROR.MALFORMED_SIGNATURE, `Expected a 65 bytes signature for a ${type} address, BIP-322 signatures are supported for p2wpkh and p2tr`);
+    }
+    let witness = decodeWitness(buffer);
+    if (!witness) {
+        throw fail(SIGNATURE_ERROR.MALFORMED_SIGNATURE, 'The signature is neither a 65 bytes signature nor a BIP-322 witness');
+    }
+    let program = bitcoin.address.fromBech32(address).data;
+    let toSign = bip322Transaction(message, outputScript(type, program));
+    if (type === ADDRESS_TYPE.P2WPKH) {
+        if (witness.length !== 2 || witness[1].length !== 33) {
+            throw fail(SIGNATURE_ERROR.MALFORMED_SIGNATURE, 'A P2WPKH witness must hold a signature and a compressed public key');
+        }
+        if (!bitcoin.crypto.hash160(witness[1]).equals(program)) {
+            return false;
+        }
+        let decoded;
+        try {
+            decoded = bitcoin.script.signature.decode(witness[0]);
+        } catch (error) {
+            throw fail(SIGNATURE_ERROR.MALFORMED_SIGNATURE, `The witness signature can't be decoded: ${error.message}`);
+        }
+        let scriptCode = bitcoin.payments.p2pkh({ hash: program }).output;
+        let hash = toSign.hashForWitnessV0(0, scriptCode, 0, decoded.hashType);
+        return ecc.verify(hash, witness[1], decoded.signature);
+    }
+    if (witness.length !== 1 || (witness[0].length !== 64 && witness[0].length !== 65)) {
+        throw fail(SIGNATURE_ERROR.MALFORMED_SIGNATURE, 'Only key path Taproot signatures (a single 64 or 65 bytes witness item) are supported');
+    }
+    let hashType = witness[0].length === 65 ? witness[0][64] : SIGHASH_DEFAULT;
+    if (witness[0].length === 65 && hashType === SIGHASH_DEFAULT) {
+        throw fail(SIGNATURE_ERROR.MALFORMED_SIGNATURE, 'A 65 bytes Taproot signature can\'t use the default sighash');
+    }
+    let hash = toSign.hashForWitnessV1(0, [outputScript(type, program)], [0], hashType);
+    return ecc.verifySchnorr(hash, program, witness[0].subarray(0, 64));
+}
+
+/**
+ * Sign `message` with the key of an address of the given type, the counterpart of `verifySignature()`:
+ * a compact signature for P2PKH, P2SH-P2WPKH and P2WPKH, a BIP-322 signature for P2TR.
+ * Resolves the base64 signature.
+ * @param {*} message
+ * @param {*} privateKey 32 bytes private key
+ * @param {*} type see `ADDRESS_TYPE`
+ * @param {*} network bitcoinjs-lib network, Bitcoin mainnet by default
+ * @param {*} compressed false for the P2PKH address of an uncompressed public key
+ */
+function signMessage(message, privateKey, type, network, compressed) {
+    network = network || bitcoin.networks.bitcoin;
+    if (type !== ADDRESS_TYPE.P2TR) {
+        let options = type === ADDRESS_TYPE.P2PKH ? undefined : { segwitType: type === ADDRESS_TYPE.P2WPKH ? 'p2wpkh' : 'p2sh(p2wpkh)' };
+        return bitcoinMessage.sign(message, privateKey, compressed !== false, network.messagePrefix, options).toString('base64');
+    }
+    let publicKey = Buffer.from(ecc.pointFromScalar(privateKey, true));
+    let script = outputScript(type, taprootOutputKey(publicKey));
+    let hash = bip322Transaction(message, script).hashForWitnessV1(0, [script], [0], SIGHASH_DEFAULT);
+    // The internal key must have an even Y coordinate (BIP-340) before being tweaked like the public key
+    let evenKey = publicKey[0] === 3 ? ecc.privateNegate(privateKey) : privateKey;
+    let signature = ecc.signSchnorr(hash, ecc.privateAdd(evenKey, taggedHash('TapTweak', publicKey.subarray(1))));
+    return encodeWitness([Buffer.from(signature)]).toString('base64');
+}
+
+/**
+ * Return the address of the given type for a public key (compressed, except for P2PKH).
+ * @param {*} publicKey
+ * @param {*} type see `ADDRESS_TYPE`
+ * @param {*} network bitcoinjs-lib network, Bitcoin mainnet by default
+ */
+function addressOf(publicKey, type, network) {
+    network = network || bitcoin.networks.bitcoin;
+    switch (type) {
+        case ADDRESS_TYPE.P2PKH:
+            return bitcoin.payments.p2pkh({ pubkey: publicKey, network: network }).address;
+        case ADDRESS_TYPE.P2SH_P2WPKH:
+            return bitcoin.payments.p2sh({ redeem: bitcoin.payments.p2wpkh({ pubkey: publicKey, network: network }), network: network }).address;
+        case ADDRESS_TYPE.P2WPKH:
+            return bitcoin.payments.p2wpkh({ pubkey: publicKey, network: network }).address;
+        case ADDRESS_TYPE.P2TR:
+            return bitcoin.address.toBech32(taprootOutputKey(publicKey), 1, network.bech32);
+        default:
+            throw new Error(`Unknown address type ${type}`);
+    }
+}
+
+// Key path only Taproot output key (BIP-86): the internal key tweaked with its own hash
+function taprootOutputKey(publicKey) {
+    let internalKey = publicKey.subarray(1);
+    return Buffer.from(ecc.xOnlyPointAddTweak(internalKey, taggedHash('TapTweak', internalKey)).xOnlyPubkey);
+}
+
+function outputScript(type, program) {
+    let version = type === ADDRESS_TYPE.P2TR ? bitcoin.opcodes.OP_1 : bitcoin.opcodes.OP_0;
+    return bitcoin.script.compile([version, program]);
+}
+
+function taggedHash(tag, data) {
+    let tagHash = crypto.createHash('sha256').update(tag).digest();
+    return crypto.createHash('sha256').update(Buffer.concat([tagHash, tagHash, data])).digest();
+}
+
+// The `to_sign` transaction of BIP-322, spending the `to_spend` transaction that commits to the message
+function bip322Transaction(message, script) {
+    let toSpend = new bitcoin.Transaction();
+    toSpend.version = 0;
+    toSpend.addInput(Buffer.alloc(32), 0xffffffff, 0,
+        bitcoin.script.compile([bitcoin.opcodes.OP_0, taggedHash(BIP322_TAG, Buffer.from(message, 'utf8'))]));
+    toSpend.addOutput(script, 0);
+    let toSign = new bitcoin.Transaction();
+    toSign.version = 0;
+    toSign.addInput(toSpend.getHash(), 0, 0);
+    toSign.addOutput(bitcoin.script.compile([bitcoin.opcodes.OP_RETURN]), 0);
+    return toSign;
+}
+
+// A witness is serialized as the number of items followed by each item, all prefixed by their CompactSize length
+function decodeWitness(buffer) {
+    let offset = 0;
+    let readSize = () => {
+        if (offset >= buffer.length) {
+            return null;
+        }
+        let first = buffer[offset++];
+        let width = first === 0xfd ? 2 : first === 0xfe ? 4 : first === 0xff ? 8 : 0;
+        if (offset + width > buffer.length) {
+            return null;
+        }
+        let size = width === 0 ? first : Number(buffer.readUIntLE(offset, Math.min(width, 6)));
+        offset += width;
+        return size;
+    };
+    let count = readSize();
+    if (!count) {
+        return null;
+    }
+    let items = [];
+    for (let i = 0; i < count; i++) {
+        let size = readSize();
+        if (size === null || offset + size > buffer.length) {
+            return null;
+        }
+        items.push(buffer.subarray(offset, offset + size));
+        offset += size;
+    }
+    return offset === buffer.length ? items : null;
+}
+
+function encodeWitness(items) {
+    // Witness items of a message signature are always shorter than 0xfd bytes
+    return Buffer.concat([Buffer.from([items.length]), ...items.map(item => Buffer.concat([Buffer.from([item.length]), item]))]);
+}
+
+module.exports.ADDRESS_TYPE = ADDRESS_TYPE;
+module.exports.SIGNATURE_ERROR = SIGNATURE_ERROR;
+module.exports.SignatureError = SignatureError;
+module.exports.getNetwork = getNetwork;
+module.exports.detectAddressType = detectAddressType;
+module.exports.verifySignature = verifySignature;
+module.exports.signMessage = signMessage;
+module.exports.addressOf = addressOf;
@@ -0,0 +1,153 @@
+/**
+ *                          SkyIndex Class
+ *  Spatial index of the registered stars by position, used to search the stars in a region of the sky:
+ *  - a cone, the stars less than `radius` degrees away from a center
+ *  - a box between two right ascensions and two declinations (the box wraps around 0h when
+ *    `raMin` is greater than `raMax`)
+ *  - a constellation, found for every star from the IAU boundaries (see `./constellations.js`)
+ *  The positions are in degrees, the right ascension from 0 to 360 and the declination from -90 to 90.
+ *  The stars are kept in cells of `CELL_SIZE` degrees so a search only visits the cells overlapping
+ *  the region. Stars never move once registered, the index is only rebuilt with the other indexes.
+ */
+
+const { parseRa, parseDec } = require('./star.js');
+const { constellationAt } = require('./constellations.js');
+
+const CELL_SIZE = 1;
+
+const RA_CELLS = 360 / CELL_SIZE;
+
+const RADIANS = Math.PI / 180;
+
+class SkyIndex {
+
+    constructor() {
+        this.cells = new Map();                     // `<dec cell>:<ra cell>` -> entries { id, ra, dec, constellation }
+        this.constellations = new Map();            // Constellation abbreviation -> entries
+    }
+
+    /**
+     * Index the star `id` at the position of `star` (its `ra` and `dec` strings), stars whose
+     * position can't be parsed (registered before the coordinates were validated) are left out.
+     * @param {*} id
+     * @param {*} star
+     */
+    add(id, star) {
+        let position = starPosition(star);
+        if (!position) {
+            return;
+        }
+        let entry = { id: id, ra: position.ra, dec: position.dec, constellation: constellationAt(position.ra, position.dec) };
+        let key = cellKey(decCell(entry.dec), raCell(entry.ra));
+        if (!this.cells.has(key)) {
+            this.cells.set(key, []);
+        }
+        this.cells.get(key).push(entry);
+        if (!this.constellations.has(entry.constellation)) {
+            this.constellations.set(entry.constellation, []);
+        }
+        this.constellations.get(entry.constellation).push(entry);
+    }
+
+    /**
+     * Return the entries at most `radius` degrees away from the center, each with its `distance` (degrees).
+     * @param {*} ra
+     * @param {*} dec
+     * @param {*} radius
+     */
+    cone(ra, dec, radius) {
+        let low = Math.max(-90, dec - radius);
+        let high = Math.min(90, dec + radius);
+        // Past a pole every right ascension is in reach, otherwise the widest span is at the declination furthest from the equator
+        let span = (high === 90 || low === -90) ? 180 : radius / Math.cos(Math.max(Math.abs(low), Math.abs(high)) * RADIANS);
+        let candidates = span >= 180 ? this._visit(low, high, 0, 360) : this._visit(low, high, ra - span, ra + span);
+        return candidates
+            .map(entry => Object.assign({ distance: angularDistance(ra, dec, entry.ra, entry.dec) }, entry))
+            .filter(entry => entry.distance <= radius);
+    }
+
+    /**
+     * Return the entries between the right ascensions and the declinations (inclusive).
+     * @param {*} raMin
+     * @param {*} raMax
+     * @param {*} decMin
+     * @param {*} decMax
+     */
+    box(raMin, raMax, decMin, decMax) {
+        let candidates = raMin <= raMax ? this._visit(decMin, decMax, raMin, raMax) : this._visit(decMin, decMax, raMin, raMax + 360);
+        return candidates.filter(entry => entry.dec >= decMin && entry.dec <= decMax && inRaRange(entry.ra, raMin, raMax));
+    }
+
+    /**
+     * Return the entries of the constellation (abbreviation, see `findConstellation()`).
+     * @param {*} constellation
+     */
+    constellation(constellation) {
+        return (this.constellations.get(constellation) || []).slice();
+    }
+
+    // Entries of the cells overlapping the declinations and the right ascensions, `raFrom` and `raTo` can go past 0 and 360
+    _visit(decFrom, decTo, raFrom, raTo) {
+        let entries = [];
+        let raCount = Math.min(RA_CELLS, Math.floor(raTo / CELL_SIZE) - Math.floor(raFrom / CELL_SIZE) + 1);
+        for (let row = decCell(decFrom); row <= decCell(decTo); row++) {
+            for (let step = 0; step < raCount; step++) {
+                let cell = this.cells.get(cellKey(row, raCell(raFrom + step * CELL_SIZE)));
+                if (cell) {
+                    entries.push(...cell);
+                }
+            }
+        }
+        return entries;
+    }
+
+}
+
+/**
+ * Return the position of the star in degrees, `{ ra, dec }`, or `null` when its `ra` or `dec` is invalid.
+ * @param {*} star
+ */
+function starPosition(star) {
+    let ra = parseRa(star && star.ra);
+    let dec = parseDec(star && star.dec);
+    if (ra === null || dec === null) {
+        return null;
+    }
+    // Seconds of time (15 arcseconds each) and arcseconds to degrees
+    return { ra: ra / 240, dec: dec / 3600 };
+}
+
+/**
+ * Return the angle (degrees) between two positions (degrees), haversine formula.
+ * @param {*} ra1
+ * @param {*} dec1
+ * @param {*} ra2
+ * @param {*} dec2
+ */
+function angularDistance(ra1, dec1, ra2, dec2) {
+    let sinDec = Math.sin((dec2 - dec1) * RADIANS / 2);
+    let sinRa = Math.sin((ra2 - ra1) * RADIANS / 2);
+    let h = sinDec * sinDec + Math.cos(dec1 * RADIANS) * Math.cos(dec2 * RADIANS) * sinRa * sinRa;
+    return 2 * Math.asin(Math.min(1, Math.sqrt(h))) / RADIANS;
+}
+
+// Whether the right ascension is between `raMin` and `raMax`, the range wraps around 0 when `raMin` is greater
+function inRaRange(ra, raMin, raMax) {
+    return raMin <= raMax ? ra >= raMin && ra <= raMax : ra >= raMin || ra <= raMax;
+}
+
+function decCell(dec) {
+    return Math.min(Math.floor(dec / CELL_SIZE), 90 / CELL_SIZE - 1);
+}
+
+function raCell(ra) {
+    return ((Math.floor(ra / CELL_SIZE) % RA_CELLS) + RA_CELLS) % RA_CELLS;
+}
+
+function cellKey(row, column) {
+    return `${row}:${column}`;
+}
+
+module.exports.SkyIndex = SkyIndex;
+module.exports.starPosition = starPosition;
+module.exports.angularDistance = angularDistance;
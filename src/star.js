@@ -0,0 +1,227 @@
+/**
+ *                          Star payload validation
+ *  Checks the `star` object submitted with `submitStar` before it's stored forever in a block:
+ *  - `ra` (right ascension) in the `16h 29m 1.0s` format
+ *  - `dec` (declination) in the `68° 52' 56.9"` format (the closing `"` is optional)
+ *  - `story` a text of at most `STORY_MAX_LENGTH` bytes once encoded in UTF-8 (the block body is
+ *    UTF-8 encoded), without control characters other than new lines and tabs.
+ *  - or, for a private star, `private: { commitment, ciphertext }` instead of the story: the SHA256
+ *    commitment to the story (64 hex characters) and the encrypted story, at most
+ *    `CIPHERTEXT_MAX_LENGTH` base64 characters (see `./privacy.js`).
+ *  The coordinates are also normalized so the same star is recognized whatever the spacing
+ *  or the number of decimals used to write them.
+ *
+ *  Stars are registered as transactions `{ id, type: 'star', owner, star, message, signature }` sealed
+ *  in batch blocks whose body is `{ type: 'batch', transactions: [...] }`, along with the other types of
+ *  transactions (`document`, see `./document.js`). The `id` of a transaction is the SHA256 of its
+ *  content and is the leaf of the Merkle tree of the block. Star transactions created before the
+ *  transactions were typed have no `type`. Stars registered before batching have a block of their
+ *  own whose body is the star, their id is the hash of that block.
+ */
+
+const SHA256 = require('crypto-js/sha256');
+const { ValidationError, ConflictError } = require('./errors.js');
+
+const STORY_MAX_LENGTH = 250;
+
+const CIPHERTEXT_MAX_LENGTH = 1024;
+
+const BATCH_TYPE = 'batch';
+
+const STAR_TYPE = 'star';
+
+const RA_FORMAT = /^\s*(\d{1,2})\s*h\s*(\d{1,2})\s*m\s*(\d{1,2}(?:\.\d+)?)\s*s\s*$/i;
+const DEC_FORMAT = /^\s*([+-]?)(\d{1,2})\s*°\s*(\d{1,2})\s*'\s*(\d{1,2}(?:\.\d+)?)\s*"?\s*$/;
+const CONTROL_CHARACTERS = /[\x00-\x08\x0b\x0c\x0e-\x1f\x7f]/;
+const COMMITMENT_FORMAT = /^[0-9a-f]{64}$/;
+const BASE64_FORMAT = /^[A-Za-z0-9+/]+={0,2}$/;
+
+class StarValidationError extends ValidationError {
+
+    constructor(errors) {
+        super('INVALID_STAR', `Invalid star: ${errors.map(e => `${e.field} ${e.message}`).join(', ')}`, { errors: errors });
+        this.errors = errors;                       // [{ field, message }]
+    }
+
+}
+
+class DuplicateStarError extends ConflictError {
+
+    // `blockHash` is null when the other registration is still being added to the chain
+    constructor(blockHash) {
+        let reason = blockHash ? `already registered in block ${blockHash}` : 'already being registered';
+        let errors = [{ field: 'star', message: reason }];
+        super('DUPLICATE_STAR', `This star is ${reason}`, { errors: errors, blockHash: blockHash });
+        this.blockHash = blockHash;
+        this.errors = errors;
+    }
+
+}
+
+/**
+ * Parse a right ascension, returns the number of seconds of time (0 to 86400) or `null` when invalid.
+ * @param {*} ra 
+ */
+function parseRa(ra) {
+    let match = typeof ra === 'string' && ra.match(RA_FORMAT);
+    if (!match) {
+        return null;
+    }
+    let [hours, minutes, seconds] = [parseInt(match[1]), parseInt(match[2]), parseFloat(match[3])];
+    if (hours > 23 || minutes > 59 || seconds >= 60) {
+        return null;
+    }
+    return hours * 3600 + minutes * 60 + seconds;
+}
+
+/**
+ * Parse a declination, returns the number of arcseconds (-324000 to 324000) or `null` when invalid.
+ * @param {*} dec 
+ */
+function parseDec(dec) {
+    let match = typeof dec === 'string' && dec.match(DEC_FORMAT);
+    if (!match) {
+        return null;
+    }
+    let [degrees, minutes, seconds] = [parseInt(match[2]), parseInt(match[3]), parseFloat(match[4])];
+    let value = degrees * 3600 + minutes * 60 + seconds;
+    if (minutes > 59 || seconds >= 60 || value > 90 * 3600) {
+        return null;
+    }
+    return match[1] === '-' ? -value : value;
+}
+
+/**
+ * Validate the star object, returns the list of field errors (empty when the star is valid).
+ * @param {*} star 
+ */
+function validateStar(star) {
+    if (!star || typeof star !== 'object' || Array.isArray(star)) {
+        return [{ field: 'star', message: 'must be an object with `ra`, `dec` and `story`' }];
+    }
+    let errors = [];
+    if (parseRa(star.ra) === null) {
+        errors.push({ field: 'ra', message: 'must be in the `16h 29m 1.0s` format' });
+    }
+    if (parseDec(star.dec) === null) {
+        errors.push({ field: 'dec', message: `must be in the \`68° 52' 56.9"\` format, between -90° and 90°` });
+    }
+    if (star.private === undefined) {
+        errors.push(...validateStory(star.story));
+    } else if (star.story !== undefined) {
+        errors.push({ field: 'story', message: 'must not be set on a private star, its story is in `private`' });
+    } else if (!star.private || typeof star.private !== 'object') {
+        errors.push({ field: 'private', message: 'must be an object with `commitment` and `ciphertext`' });
+    } else {
+        if (typeof star.private.commitment !== 'string' || !COMMITMENT_FORMAT.test(star.private.commitment)) {
+            errors.push({ field: 'private.commitment', message: 'must be a SHA256 in lower case hex' });
+        }
+        if (typeof star.private.ciphertext !== 'string' || !BASE64_FORMAT.test(star.private.ciphertext)) {
+            errors.push({ field: 'private.ciphertext', message: 'must be base64' });
+        } else if (star.private.ciphertext.length > CIPHERTEXT_MAX_LENGTH) {
+            errors.push({ field: 'private.ciphertext', message: `must be at most ${CIPHERTEXT_MAX_LENGTH} characters long` });
+        }
+    }
+    return errors;
+}
+
+/**
+ * Validate the story of a star, also used for the story revealed of a private star.
+ * Returns the list of field errors (empty when the story is valid).
+ * @param {*} story 
+ */
+function validateStory(story) {
+    if (typeof story !== 'string') {
+        return [{ field: 'story', message: 'must be a string' }];
+    }
+    if (Buffer.byteLength(story, 'utf8') > STORY_MAX_LENGTH) {
+        return [{ field: 'story', message: `must be at most ${STORY_MAX_LENGTH} bytes once encoded in UTF-8` }];
+    }
+    if (CONTROL_CHARACTERS.test(story)) {
+        return [{ field: 'story', message: 'must not contain control characters' }];
+    }
+    return [];
+}
+
+/**
+ * Check whether the star is private, its story is replaced by a commitment and a ciphertext.
+ * @param {*} star 
+ */
+function isPrivateStar(star) {
+    return !!star && !!star.private;
+}
+
+/**
+ * Return the key identifying the star position, used to detect the same star registered twice.
+ * The right ascension is rounded to 0.1 second of time and the declination to 0.1 arcsecond.
+ * @param {*} star 
+ */
+function starKey(star) {
+    let ra = parseRa(star && star.ra);
+    let dec = parseDec(star && star.dec);
+    if (ra === null || dec === null) {
+        return null;
+    }
+    return `${ra.toFixed(1)}|${dec.toFixed(1)}`;
+}
+
+/**
+ * Return the id of the star transaction, the SHA256 of its content.
+ * @param {*} transaction 
+ */
+function transactionId(transaction) {
+    // Undefined properties are left out, the id of an untyped star transaction is unchanged
+    return SHA256(JSON.stringify({
+        type: transaction.type,
+        owner: transaction.owner,
+        star: transaction.star,
+        document: transaction.document,
+        message: transaction.message,
+        signature: transaction.signature
+    })).toString();
+}
+
+/**
+ * Return the type of the transaction, `star` for the star transactions created before the types.
+ * @param {*} transaction 
+ */
+function transactionType(transaction) {
+    return transaction.type || STAR_TYPE;
+}
+
+/**
+ * Create the transaction registering the star for its owner.
+ * @param {*} owner 
+ * @param {*} star 
+ * @param {*} message challenge signed by the owner
+ * @param {*} signature 
+ */
+function starTransaction(owner, star, message, signature) {
+    let transaction = { id: null, type: STAR_TYPE, owner: owner, star: star, message: message, signature: signature };
+    transaction.id = transactionId(transaction);
+    return transaction;
+}
+
+/**
+ * Check whether the decoded block body is a batch of star transactions.
+ * @param {*} data 
+ */
+function isBatch(data) {
+    return !!data && data.type === BATCH_TYPE && Array.isArray(data.transactions);
+}
+
+module.exports.BATCH_TYPE = BATCH_TYPE;
+module.exports.STAR_TYPE = STAR_TYPE;
+module.exports.transactionId = transactionId;
+module.exports.transactionType = transactionType;
+module.exports.starTransaction = starTransaction;
+module.exports.isBatch = isBatch;
+module.exports.STORY_MAX_LENGTH = STORY_MAX_LENGTH;
+module.exports.StarValidationError = StarValidationError;
+module.exports.DuplicateStarError = DuplicateStarError;
+module.exports.parseRa = parseRa;
+module.exports.parseDec = parseDec;
+module.exports.validateStar = validateStar;
+module.exports.validateStory = validateStory;
+module.exports.isPrivateStar = isPrivateStar;
+module.exports.starKey = starKey;
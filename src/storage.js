@@ -0,0 +1,258 @@
+/**
+ *                          Storage backends
+ *  The Blockchain class keeps the chain in memory, but every block it adds is also
+ *  handed to a store so the chain survives a restart of the application.
+ *  A store exposes three methods, all returning Promises:
+ *  - `open()`   resolves with the list of raw block records persisted so far (in height order)
+ *  - `append(block)` persists one block at the end of the log
+ *  - `replace(blocks)` replaces the whole log (used when the node adopts a peer chain)
+ *  - `close()`  releases any resource held by the store
+ *
+ *  `MemoryStore` keeps the records in an array (useful for tests and throwaway nodes).
+ *  `FileStore` writes an append-only log on the local disk, one block per line.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const SHA256 = require('crypto-js/sha256');
+const { logger } = require('./logger.js');
+
+class MemoryStore {
+
+    constructor() {
+        this.records = [];
+    }
+
+    open() {
+        return Promise.resolve(this.records.map(record => JSON.parse(record)));
+    }
+
+    append(block) {
+        this.records.push(JSON.stringify(block));
+        return Promise.resolve(block);
+    }
+
+    replace(blocks) {
+        this.records = blocks.map(block => JSON.stringify(block));
+        return Promise.resolve(blocks);
+    }
+
+    close() {
+        return Promise.resolve();
+    }
+
+}
+
+/**
+ *  Every line of the log has the form `<sha256 of payload>\t<payload>\n` where the payload
+ *  is the JSON representation of the block. When the process crashes in the middle of a
+ *  write the last line is either missing its newline or its checksum doesn't match; `open()`
+ *  detects that, truncates the file back to the last complete record and carries on.
+ *  A damaged line followed by other records isn't an interrupted write, `open()` rejects with
+ *  a `CORRUPT_STORE` error instead of dropping the blocks after it.
+ *  The process writing the log holds the lock file `<log>.lock` (its pid) until `close()`, a second
+ *  process can't open the log while that process runs (`STORE_LOCKED`). With `options.readOnly`
+ *  the log must exist and is only read: nothing is truncated, created nor written.
+ *  The recovery is logged with `options.logger`, the shared logger by default.
+ */
+class FileStore {
+
+    constructor(filePath, options) {
+        this.filePath = path.resolve(filePath);
+        this.lockPath = `${this.filePath}.lock`;
+        this.readOnly = !!(options && options.readOnly);
+        this.logger = (options && options.logger) || logger;
+        this.fd = null;
+        this.locked = false;
+        this.queue = Promise.resolve();
+        this.recovered = 0;
+    }
+
+    open() {
+        let self = this;
+        return new Promise((resolve, reject) => {
+            try {
+                if (self.readOnly) {
+                    if (!fs.existsSync(self.filePath)) {
+                        throw storeError('STORE_NOT_FOUND', `No chain store at ${self.filePath}`);
+                    }
+                    self._checkLock();
+                } else {
+                    fs.mkdirSync(path.dirname(self.filePath), { recursive: true });
+                    self._lock();
+                }
+                let content = fs.existsSync(self.filePath) ? fs.readFileSync(self.filePath) : Buffer.alloc(0);
+                let records = [];
+                let offset = 0;
+                while (offset < content.length) {
+                    let end = content.indexOf(0x0a, offset);
+                    if (end === -1) {
+                        break;
+                    }
+                    let record = self._parseLine(content.slice(offset, end).toString('utf8'));
+                    if (!record) {
+                        if (end + 1 < content.length) {
+                            throw storeError('CORRUPT_STORE', `The chain store ${self.filePath} is corrupted at line ${records.length + 1} (byte ${offset}), followed by other records`);
+                        }
+                        break;
+                    }
+                    records.push(record);
+                    offset = end + 1;
+                }
+                if (self.readOnly) {
+                    // The partially flushed last record is skipped, the node writing the log truncates it
+                    return resolve(records);
+                }
+                if (offset < content.length) {
+                    // Partially flushed last record, drop it so the next append starts clean
+                    self.recovered = content.length - offset;
+                    self.logger.warn('Truncating the incomplete data at the end of the chain store', { path: self.filePath, bytes: self.recovered });
+                    fs.truncateSync(self.filePath, offset);
+                }
+                self.fd = fs.openSync(self.filePath, 'a');
+                resolve(records);
+            } catch (error) {
+                self._unlock();
+                reject(error);
+            }
+        });
+    }
+
+    append(block) {
+        let self = this;
+        let line = Buffer.from(self._formatLine(block), 'utf8');
+        // Writes are chained so concurrent appends land in the file in call order
+        let write = self.queue.then(() => new Promise((resolve, reject) => {
+            if (self.fd === null) {
+                return reject(new Error(self.readOnly ? 'FileStore is read-only' : 'FileStore is not open'));
+            }
+            fs.write(self.fd, line, 0, line.length, null, (error) => {
+                if (error) {
+                    return reject(error);
+                }
+                fs.fsync(self.fd, (error) => {
+                    if (error) {
+                        return reject(error);
+                    }
+                    resolve(block);
+                });
+            });
+        }));
+        self.queue = write.catch(() => {});
+        return write;
+    }
+
+    /**
+     * The new log is written next to the current one and renamed over it, so a crash
+     * leaves either the old or the new chain on disk, never a mix of both.
+     * @param {*} blocks 
+     */
+    replace(blocks) {
+        let self = this;
+        let temporaryPath = `${self.filePath}.tmp`;
+        let write = self.queue.then(() => new Promise((resolve, reject) => {
+            if (self.readOnly) {
+                return reject(new Error('FileStore is read-only'));
+            }
+            try {
+                let content = blocks.map(block => self._formatLine(block)).join('');
+                let fd = fs.openSync(temporaryPath, 'w');
+                fs.writeSync(fd, content);
+                fs.fsyncSync(fd);
+                fs.closeSync(fd);
+                fs.renameSync(temporaryPath, self.filePath);
+                // The old log is only closed once the new one is in place, a failed rename leaves the store usable
+                let previous = self.fd;
+                self.fd = fs.openSync(self.filePath, 'a');
+                if (previous !== null) {
+                    fs.closeSync(previous);
+                }
+                resolve(blocks);
+            } catch (error) {
+                fs.rmSync(temporaryPath, { force: true });
+                reject(error);
+            }
+        }));
+        self.queue = write.catch(() => {});
+        return write;
+    }
+
+    close() {
+        let self = this;
+        return self.queue.then(() => {
+            if (self.fd !== null) {
+                fs.closeSync(self.fd);
+                self.fd = null;
+            }
+            self._unlock();
+        });
+    }
+
+    // Take the lock file, taking over the lock left by a process that is gone
+    _lock() {
+        this._checkLock();
+        fs.writeFileSync(this.lockPath, String(process.pid));
+        this.locked = true;
+    }
+
+    _unlock() {
+        if (this.locked) {
+            fs.rmSync(this.lockPath, { force: true });
+            this.locked = false;
+        }
+    }
+
+    // Throw a `STORE_LOCKED` error when another running process holds the lock file
+    _checkLock() {
+        let pid;
+        try {
+            pid = parseInt(fs.readFileSync(this.lockPath, 'utf8'));
+        } catch (error) {
+            return;
+        }
+        if (!pid || pid === process.pid) {
+            return;
+        }
+        try {
+            process.kill(pid, 0);
+        } catch (error) {
+            // ESRCH: the process is gone, EPERM: it runs under another user
+            if (error.code === 'ESRCH') {
+                return;
+            }
+        }
+        throw storeError('STORE_LOCKED', `The chain store ${this.filePath} is in use by the process ${pid}`);
+    }
+
+    _formatLine(block) {
+        let payload = JSON.stringify(block);
+        return `${SHA256(payload).toString()}\t${payload}\n`;
+    }
+
+    _parseLine(line) {
+        let separator = line.indexOf('\t');
+        if (separator === -1) {
+            return null;
+        }
+        let checksum = line.slice(0, separator);
+        let payload = line.slice(separator + 1);
+        if (SHA256(payload).toString() !== checksum) {
+            return null;
+        }
+        try {
+            return JSON.parse(payload);
+        } catch (error) {
+            return null;
+        }
+    }
+
+}
+
+function storeError(code, message) {
+    let error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+module.exports.MemoryStore = MemoryStore;
+module.exports.FileStore = FileStore;
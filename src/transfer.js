@@ -0,0 +1,77 @@
+/**
+ *                          Star ownership transfers
+ *  A transfer is stored as a block whose body is:
+ *  `{ type: 'transfer', star: <hash of the registration block>, from, to, message, signature }`
+ *  where `message` is a challenge issued by `requestMessageOwnershipVerification` to the current
+ *  owner (`from`) and `signature` is the signature of the transfer message built by
+ *  `transferMessage()`, so the signature commits to the star and to the new owner.
+ *  A signature that can't be verified is reported with a `SignatureError` (see `./signature.js`).
+ */
+
+const { verifySignature } = require('./signature.js');
+const { BlockchainError } = require('./errors.js');
+
+const TRANSFER_TYPE = 'transfer';
+
+const TRANSFER_ERROR = {
+    STAR_NOT_FOUND: 'STAR_NOT_FOUND',               // No star registered in the block with that hash
+    NOT_OWNER: 'NOT_OWNER',                         // The signer isn't the current owner of the star
+    INVALID_RECIPIENT: 'INVALID_RECIPIENT',         // The new owner is missing or is the current owner
+    TRANSFER_PENDING: 'TRANSFER_PENDING'            // Another transfer of the star is being added
+};
+
+// HTTP status of each transfer error
+const TRANSFER_STATUS = {
+    [TRANSFER_ERROR.STAR_NOT_FOUND]: 404,
+    [TRANSFER_ERROR.INVALID_RECIPIENT]: 400,
+    [TRANSFER_ERROR.NOT_OWNER]: 403,
+    [TRANSFER_ERROR.TRANSFER_PENDING]: 409
+};
+
+class TransferError extends BlockchainError {
+
+    constructor(code, message) {
+        super(code, message, null, TRANSFER_STATUS[code]);
+    }
+
+}
+
+/**
+ * Build the text the current owner has to sign to transfer the star.
+ * @param {*} message challenge issued to the current owner
+ * @param {*} starHash hash of the block that registered the star
+ * @param {*} to address of the new owner
+ */
+function transferMessage(message, starHash, to) {
+    return `${message}:transfer:${starHash}:${to}`;
+}
+
+/**
+ * Check whether the decoded block body is a transfer.
+ * @param {*} data 
+ */
+function isTransfer(data) {
+    return !!data && data.type === TRANSFER_TYPE;
+}
+
+/**
+ * Verify the signature stored in a transfer body, returns false instead of throwing
+ * when the address or the signature are malformed.
+ * @param {*} transfer 
+ * @param {*} network bitcoinjs-lib network of the addresses, Bitcoin mainnet by default
+ */
+function verifyTransfer(transfer, network) {
+    try {
+        verifySignature(transferMessage(transfer.message, transfer.star, transfer.to), transfer.from, transfer.signature, network);
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+module.exports.TRANSFER_TYPE = TRANSFER_TYPE;
+module.exports.TRANSFER_ERROR = TRANSFER_ERROR;
+module.exports.TransferError = TransferError;
+module.exports.transferMessage = transferMessage;
+module.exports.isTransfer = isTransfer;
+module.exports.verifyTransfer = verifyTransfer;
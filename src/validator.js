@@ -0,0 +1,161 @@
+/**
+ *                          ChainValidator Class
+ *  Walks a range of the chain (the whole chain by default, Genesis Block included) and builds
+ *  a report with every problem found. Each problem names the block (height and hash) and the
+ *  kind of failure, so a tampered chain can be traced back to the first corrupted block.
+ */
+
+const { isTransfer, verifyTransfer } = require('./transfer.js');
+const { isReveal, verifyReveal } = require('./privacy.js');
+const { isBatch, transactionType, STAR_TYPE } = require('./star.js');
+const { DOCUMENT_TYPE, documentMessage } = require('./document.js');
+const { verifySignature } = require('./signature.js');
+
+const FAILURE = {
+    BODY_HASH_MISMATCH: 'BODY_HASH_MISMATCH',           // The stored hash doesn't match the block content
+    BROKEN_LINK: 'BROKEN_LINK',                         // previousBlockHash doesn't match the prior block hash
+    HEIGHT_GAP: 'HEIGHT_GAP',                           // The block height doesn't match its position in the chain
+    NON_MONOTONIC_TIMESTAMP: 'NON_MONOTONIC_TIMESTAMP', // The block is older than the prior block
+    BAD_SIGNATURE_METADATA: 'BAD_SIGNATURE_METADATA',   // The owner address is missing or a transaction, transfer or reveal signature is wrong
+    INSUFFICIENT_WORK: 'INSUFFICIENT_WORK',             // The hash doesn't meet the block (or chain minimum) difficulty
+    MERKLE_ROOT_MISMATCH: 'MERKLE_ROOT_MISMATCH',       // The Merkle root doesn't match the transactions
+    UNSUPPORTED_VERSION: 'UNSUPPORTED_VERSION'          // The header format or the hash algorithm of the block is unknown
+};
+
+class ChainValidator {
+
+    /**
+     * `options.minDifficulty` is the lowest difficulty accepted for blocks other than the Genesis Block,
+     * it prevents rewriting history with blocks that skipped the proof of work.
+     * `options.network` is the bitcoinjs-lib network the transaction, transfer and reveal signatures are verified against.
+     * @param {*} chain 
+     * @param {*} options 
+     */
+    constructor(chain, options) {
+        this.chain = chain;
+        this.minDifficulty = (options && options.minDifficulty) || 0;
+        this.network = options && options.network;
+    }
+
+    /**
+     * Validate the blocks with height between `from` and `to` (both inclusive).
+     * The method resolves with a report like:
+     * `{ valid, from, to, checked, firstCorruptHeight, errors: [{ height, hash, kind, message }] }`
+     * @param {*} from 
+     * @param {*} to 
+     */
+    async run(from, to) {
+        let chain = this.chain;
+        let start = Math.max(0, from === undefined ? 0 : from);
+        let end = Math.min(chain.length - 1, to === undefined ? chain.length - 1 : to);
+        let errors = [];
+        for (let i = start; i <= end; i++) {
+            let block = chain[i];
+            let previousBlock = i > 0 ? chain[i - 1] : null;
+            let fail = (kind, message) => errors.push({ height: i, hash: block.hash, kind: kind, message: message });
+
+            if (!block.hasSupportedVersion()) {
+                fail(FAILURE.UNSUPPORTED_VERSION, `Block version ${block.version} is not supported`);
+            } else if (!block.hasValidWork()) {
+                fail(FAILURE.INSUFFICIENT_WORK, `Block hash doesn't meet its difficulty ${block.difficulty}`);
+            } else if (!block.hasValidMerkleRoot()) {
+                fail(FAILURE.MERKLE_ROOT_MISMATCH, `Block Merkle root doesn't match its transactions`);
+            } else if (!(await block.validate())) {
+                fail(FAILURE.BODY_HASH_MISMATCH, `Block hash doesn't match the block content`);
+            }
+            if (i > 0 && (block.difficulty || 0) < this.minDifficulty) {
+                fail(FAILURE.INSUFFICIENT_WORK, `Block difficulty ${block.difficulty || 0} is below the minimum ${this.minDifficulty}`);
+            }
+            if (block.height !== i) {
+                fail(FAILURE.HEIGHT_GAP, `Block at position ${i} has height ${block.height}`);
+            }
+            let expectedPrevious = previousBlock ? previousBlock.hash : null;
+            if (block.previousBlockHash !== expectedPrevious) {
+                fail(FAILURE.BROKEN_LINK, `previousBlockHash ${block.previousBlockHash} doesn't match ${expectedPrevious}`);
+            }
+            if (previousBlock && parseInt(block.time) < parseInt(previousBlock.time)) {
+                fail(FAILURE.NON_MONOTONIC_TIMESTAMP, `Block time ${block.time} is older than the previous block time ${previousBlock.time}`);
+            }
+            let signatureError = this._checkSignatureMetadata(block, i);
+            if (signatureError) {
+                fail(FAILURE.BAD_SIGNATURE_METADATA, signatureError);
+            }
+        }
+        return {
+            valid: errors.length === 0,
+            from: start,
+            to: end,
+            checked: Math.max(0, end - start + 1),
+            firstCorruptHeight: errors.length > 0 ? errors[0].height : null,
+            errors: errors
+        };
+    }
+
+    _checkSignatureMetadata(block, height) {
+        if (height === 0) {
+            return block.address !== undefined ? 'Genesis Block must not have an owner address' : null;
+        }
+        let data;
+        try {
+            data = JSON.parse(Buffer.from(block.body, 'hex').toString('utf8'));
+        } catch (error) {
+            data = null;
+        }
+        // A batch has one owner per transaction instead of an owner for the block, each transaction is signed by its owner
+        if (isBatch(data)) {
+            for (const [position, transaction] of data.transactions.entries()) {
+                if (typeof transaction.owner !== 'string' || transaction.owner.length === 0) {
+                    return `Transaction ${position} has no owner address`;
+                }
+                if (!this._verifyTransaction(transaction)) {
+                    return `Transaction ${position} signature can not be verified`;
+                }
+            }
+            return null;
+        }
+        if (typeof block.address !== 'string' || block.address.length === 0) {
+            return 'Block has no owner address';
+        }
+        if (isTransfer(data)) {
+            if (data.from !== block.address) {
+                return 'Transfer is not made by the block owner';
+            }
+            if (!verifyTransfer(data, this.network)) {
+                return 'Transfer signature can not be verified';
+            }
+        }
+        if (isReveal(data)) {
+            if (data.from !== block.address) {
+                return 'Reveal is not made by the block owner';
+            }
+            if (!verifyReveal(data, this.network)) {
+                return 'Reveal signature can not be verified';
+            }
+        }
+        return null;
+    }
+
+    // Whether the transaction is signed by its owner: a star transaction signs the challenge `message`, a document
+    // transaction signs `documentMessage(message, digest)`. Transactions of an unknown type are refused.
+    _verifyTransaction(transaction) {
+        let type = transactionType(transaction);
+        let message;
+        if (type === STAR_TYPE) {
+            message = transaction.message;
+        } else if (type === DOCUMENT_TYPE && transaction.document && typeof transaction.document.digest === 'string') {
+            message = documentMessage(transaction.message, transaction.document.digest);
+        } else {
+            return false;
+        }
+        try {
+            verifySignature(message, transaction.owner, transaction.signature, this.network);
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+}
+
+module.exports.ChainValidator = ChainValidator;
+module.exports.FAILURE = FAILURE;
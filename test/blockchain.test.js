@@ -0,0 +1,106 @@
+/**
+ *                          Blockchain tests
+ *  Stars are submitted to a chain kept in memory with signatures made by locally generated keys,
+ *  the registrations are checked against the blocks and the indexes of the chain. Blocks created
+ *  before the versioned header are loaded and received with their properties in another order.
+ */
+
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { Blockchain } = require('../src/blockchain.js');
+const { MemoryStore } = require('../src/storage.js');
+const { Block } = require('../src/block.js');
+const { hashBlock } = require('../src/hashing.js');
+const { ADDRESS_TYPE } = require('../src/signature.js');
+const { createWallet, silentLogger } = require('./helpers.js');
+
+const STAR = { ra: '16h 29m 1.0s', dec: "68° 52' 56.9", story: 'First star' };
+
+// Submit the star with a challenge issued to the wallet and signed by it
+async function submit(blockchain, wallet, star) {
+    let challenge = await blockchain.requestMessageOwnershipVerification(wallet.address);
+    return blockchain.submitStar(wallet.address, challenge.message, wallet.sign(challenge.message), star);
+}
+
+// A block created before the versioned header, hashed over the JSON of the whole block
+function legacyBlock(data, previous, address) {
+    let block = new Block(data);
+    if (previous) {
+        block.height = previous.height + 1;
+        block.time = String(Number(previous.time) + 1);
+        block.previousBlockHash = previous.hash;
+        block.address = address;
+    } else {
+        block.time = '1600000000';
+    }
+    block.hash = hashBlock(block);
+    return JSON.parse(JSON.stringify(block));
+}
+
+// The block with its properties in the reverse order, as another serializer could store it
+function reordered(block) {
+    let copy = Object.fromEntries(Object.entries(block).reverse());
+    assert.notStrictEqual(hashBlock(copy), block.hash);
+    return copy;
+}
+
+describe('Blockchain', () => {
+    let blockchains = [];
+
+    async function chain(options) {
+        let blockchain = new Blockchain(new MemoryStore(), Object.assign({ logger: silentLogger }, options));
+        await blockchain.ready;
+        blockchains.push(blockchain);
+        return blockchain;
+    }
+
+    afterEach(async () => {
+        for (const blockchain of blockchains) {
+            await blockchain.close();
+        }
+        blockchains = [];
+    });
+
+    it('names the block of the registration when a star is submitted twice', async () => {
+        let blockchain = await chain();
+        let wallet = createWallet(ADDRESS_TYPE.P2WPKH);
+        let block = await submit(blockchain, wallet, STAR);
+        await assert.rejects(submit(blockchain, wallet, STAR), { code: 'DUPLICATE_STAR', blockHash: block.hash });
+        assert.strictEqual(blockchain.chain[block.height].hash, block.hash);
+    });
+
+    describe('legacy blocks', () => {
+        let wallet = createWallet(ADDRESS_TYPE.P2PKH);
+        let genesis = legacyBlock({ data: 'Genesis Block' });
+        let first = legacyBlock(STAR, genesis, wallet.address);
+        let second = legacyBlock({ ...STAR, ra: '1h 2m 3.0s' }, first, wallet.address);
+
+        async function legacyChain(blocks) {
+            let store = new MemoryStore();
+            await store.replace(blocks);
+            let blockchain = new Blockchain(store, { logger: silentLogger });
+            await blockchain.ready;
+            blockchains.push(blockchain);
+            return blockchain;
+        }
+
+        it('loads a stored chain whose legacy blocks were reordered', async () => {
+            let blockchain = await legacyChain([reordered(genesis), reordered(first)]);
+            assert.deepStrictEqual(blockchain.chain.map(block => block.hash), [genesis.hash, first.hash]);
+            assert.strictEqual((await blockchain.getValidationReport()).valid, true);
+        });
+
+        it('accepts a reordered legacy block from a peer', async () => {
+            let blockchain = await legacyChain([genesis, first]);
+            assert.strictEqual((await blockchain.acceptBlock(reordered(second))).status, 'extended');
+            assert.strictEqual(blockchain.chain[2].hash, second.hash);
+            assert.strictEqual((await blockchain.getValidationReport()).valid, true);
+        });
+
+        it('adopts a chain of reordered legacy blocks from a peer', async () => {
+            let blockchain = await chain();
+            assert.strictEqual(await blockchain.replaceChain([genesis, first, second].map(reordered)), 2);
+            assert.strictEqual((await blockchain.getValidationReport()).valid, true);
+        });
+    });
+});
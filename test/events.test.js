@@ -0,0 +1,69 @@
+/**
+ *                          Event streaming tests
+ *  The events of a chain are followed through an EventHub with an owner filter, and over the
+ *  WebSocket endpoint of a node listening on an ephemeral port.
+ */
+
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert');
+const WebSocket = require('ws');
+const { Blockchain } = require('../src/blockchain.js');
+const { MemoryStore } = require('../src/storage.js');
+const { EventHub } = require('../src/events.js');
+const { ADDRESS_TYPE } = require('../src/signature.js');
+const { transferMessage } = require('../src/transfer.js');
+const { createWallet, silentLogger, startNode, waitFor } = require('./helpers.js');
+
+const STAR = { ra: '16h 29m 1.0s', dec: "68° 52' 56.9", story: 'First star' };
+
+describe('Events', () => {
+    let closing = [];
+
+    after(async () => {
+        for (const close of closing) {
+            await close();
+        }
+    });
+
+    it('sends a transfer to the subscribers of the sender and of the recipient', async () => {
+        let blockchain = new Blockchain(new MemoryStore(), { logger: silentLogger });
+        let events = new EventHub(blockchain, { logger: silentLogger });
+        closing.push(() => blockchain.close(), () => events.close());
+        let sender = createWallet(ADDRESS_TYPE.P2WPKH);
+        let recipient = createWallet(ADDRESS_TYPE.P2PKH);
+        let received = { sender: [], recipient: [], other: [] };
+        await events.connect({ owner: sender.address }, event => received.sender.push(event));
+        await events.connect({ owner: recipient.address }, event => received.recipient.push(event));
+        await events.connect({ owner: createWallet(ADDRESS_TYPE.P2WPKH).address }, event => received.other.push(event));
+
+        let challenge = await blockchain.requestMessageOwnershipVerification(sender.address);
+        let block = await blockchain.submitStar(sender.address, challenge.message, sender.sign(challenge.message), STAR);
+        let starId = (await blockchain.getBlockByHash(block.hash, { metadata: true })).transactions[0].id;
+        challenge = await blockchain.requestMessageOwnershipVerification(sender.address);
+        let signature = sender.sign(transferMessage(challenge.message, starId, recipient.address));
+        let transfer = await blockchain.transferStar(sender.address, challenge.message, signature, starId, recipient.address);
+
+        let transferOf = events => events.find(event => event.type === 'blockAdded' && event.id === transfer.height);
+        await waitFor(() => transferOf(received.sender) && transferOf(received.recipient));
+        assert.deepStrictEqual(transferOf(received.recipient).data.transfer, { star: starId, from: sender.address, to: recipient.address });
+        assert.strictEqual(transferOf(received.other), undefined);
+
+        // A recipient coming back gets the transfer in its backlog
+        let backlog = [];
+        await events.connect({ owner: recipient.address, lastHeight: 0 }, event => backlog.push(event));
+        assert.deepStrictEqual(backlog.map(event => event.id), [transfer.height]);
+    });
+
+    it('closes the WebSocket of a subscription that fails', { timeout: 5000 }, async () => {
+        let node = await startNode();
+        closing.push(() => node.stop());
+        node.blockchain.getBlocks = async () => {
+            throw new Error('The chain can not be read');
+        };
+        let socket = new WebSocket(`${node.url.replace('http', 'ws')}/events/ws?lastHeight=0`);
+        closing.unshift(() => socket.terminate());
+        let code = await new Promise(resolve => socket.on('close', resolve));
+        assert.strictEqual(code, 1011);
+        assert.strictEqual(node.events.subscribers.size, 0);
+    });
+});
@@ -0,0 +1,192 @@
+/**
+ *                          Fork and reorganization tests
+ *  Two chains sharing their first blocks grow divergent branches of signed batch blocks, the blocks
+ *  of one are delivered to the other (`acceptBlock`) in various orders: the heaviest branch wins,
+ *  orphans connect once their parent arrives, the abandoned transactions go back to the mempool
+ *  and the branches left behind the finality depth are pruned. A whole chain (`replaceChain`)
+ *  replaces the local one only when it is heavier.
+ */
+
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { Blockchain } = require('../src/blockchain.js');
+const { MemoryStore } = require('../src/storage.js');
+const { ADDRESS_TYPE } = require('../src/signature.js');
+const { createWallet, signedStar, silentLogger, waitFor } = require('./helpers.js');
+
+const alice = createWallet(ADDRESS_TYPE.P2WPKH);
+const bob = createWallet(ADDRESS_TYPE.P2PKH);
+const carol = createWallet(ADDRESS_TYPE.P2TR);
+
+// A star of the wallet at `hours` of right ascension, one per hour so they never collide
+function star(wallet, hours) {
+    return signedStar(wallet, { ra: `${hours}h 0m 0.0s`, dec: "10° 0' 0.0", story: `Star at ${hours}h` });
+}
+
+// The block as a peer sends it
+function received(block) {
+    return JSON.parse(JSON.stringify(block));
+}
+
+function hashes(blockchain) {
+    return blockchain.chain.map(block => block.hash);
+}
+
+describe('Forks and reorganizations', () => {
+    let blockchains = [];
+
+    // A blockchain holding the blocks of `source` (a new chain when it's missing)
+    async function chain(source, options) {
+        let store = new MemoryStore();
+        if (source) {
+            await store.replace(source.chain.map(received));
+        }
+        let blockchain = new Blockchain(store, Object.assign({ logger: silentLogger }, options));
+        await blockchain.ready;
+        blockchains.push(blockchain);
+        return blockchain;
+    }
+
+    afterEach(async () => {
+        for (const blockchain of blockchains) {
+            await blockchain.close();
+        }
+        blockchains = [];
+    });
+
+    it('switches to a side branch once it becomes longer', async () => {
+        let local = await chain();
+        await local._sealBatch([star(alice, 1)]);
+        let remote = await chain(local);
+        await local._sealBatch([star(alice, 2)]);
+        let b2 = await remote._sealBatch([star(bob, 3)]);
+        let b3 = await remote._sealBatch([star(bob, 4)]);
+        let reorgs = [];
+        local.on('chainReorganized', reorg => reorgs.push(reorg));
+
+        // Same work as the chain: the first branch seen stays
+        assert.strictEqual((await local.acceptBlock(received(b2))).status, 'fork');
+        let forks = await local.getForks();
+        assert.deepStrictEqual(forks.branches.map(branch => ({ forkHeight: branch.forkHeight, tip: branch.tip.hash, length: branch.length })), [{ forkHeight: 1, tip: b2.hash, length: 1 }]);
+
+        assert.strictEqual((await local.acceptBlock(received(b3))).status, 'reorganized');
+        assert.deepStrictEqual(hashes(local), hashes(remote));
+        assert.strictEqual(reorgs.length, 1);
+        assert.strictEqual(reorgs[0].forkHeight, 1);
+        assert.deepStrictEqual(reorgs[0].added, [b2.hash, b3.hash]);
+        assert.strictEqual((await local.getStarsByWalletAddress(bob.address)).length, 2);
+        assert.strictEqual((await local.getValidationReport()).valid, true);
+        // The abandoned block is now the side branch
+        assert.strictEqual((await local.getForks()).branches.length, 1);
+    });
+
+    it('follows the heaviest branch rather than the longest', async () => {
+        let local = await chain();
+        let remote = await chain(local, { mining: true, difficulty: 1 });
+        await local._sealBatch([star(alice, 5)]);
+        await local._sealBatch([star(alice, 6)]);
+        // One block of difficulty 1 (work 16) outweighs two blocks without mining (work 1 each)
+        let mined = await remote._sealBatch([star(bob, 7)]);
+
+        assert.strictEqual((await local.acceptBlock(received(mined))).status, 'reorganized');
+        assert.strictEqual(local.height, 1);
+        assert.deepStrictEqual(hashes(local), hashes(remote));
+    });
+
+    it('replaces the chain with the heaviest chain of a peer rather than the longest', async () => {
+        let local = await chain();
+        let mined = await chain(null, { mining: true, difficulty: 1 });
+        let unmined = await chain();
+        for (let hours = 0; hours < 3; hours++) {
+            await local._sealBatch([star(alice, 23 - hours)]);
+        }
+        await mined._sealBatch([star(bob, 20)]);
+        for (let hours = 0; hours < 4; hours++) {
+            await unmined._sealBatch([star(carol, 16 - hours)]);
+        }
+
+        // 2 blocks with a work of 1 + 16 against 4 blocks with a work of 1 each
+        assert.strictEqual(await local.replaceChain(mined.chain.map(received)), 1);
+        assert.deepStrictEqual(hashes(local), hashes(mined));
+        await assert.rejects(local.replaceChain(unmined.chain.map(received)), { code: 'CHAIN_REJECTED', message: /not heavier/ });
+        assert.deepStrictEqual(hashes(local), hashes(mined));
+    });
+
+    it('connects the orphan blocks once their parent arrives', async () => {
+        let local = await chain();
+        let remote = await chain(local);
+        await local._sealBatch([star(alice, 8)]);
+        let b1 = await remote._sealBatch([star(bob, 9)]);
+        let b2 = await remote._sealBatch([star(bob, 10)]);
+        let b3 = await remote._sealBatch([star(bob, 11)]);
+
+        assert.strictEqual((await local.acceptBlock(received(b3))).status, 'orphan');
+        assert.strictEqual((await local.acceptBlock(received(b2))).status, 'orphan');
+        assert.deepStrictEqual((await local.getForks()).orphans.map(orphan => orphan.hash).sort(), [b2.hash, b3.hash].sort());
+        assert.strictEqual((await local.acceptBlock(received(b3))).status, 'known');
+
+        assert.strictEqual((await local.acceptBlock(received(b1))).status, 'reorganized');
+        assert.deepStrictEqual(hashes(local), hashes(remote));
+        assert.deepStrictEqual((await local.getForks()).orphans, []);
+    });
+
+    it('puts back in the mempool the transactions the new branch does not hold', async () => {
+        let local = await chain();
+        let remote = await chain(local);
+        let shared = star(alice, 12);
+        let abandoned = await local._sealBatch([shared, star(carol, 13)]);
+        await remote._sealBatch([shared]);
+        let b2 = await remote._sealBatch([star(bob, 14)]);
+        let reorgs = [];
+        local.on('chainReorganized', reorg => reorgs.push(reorg));
+
+        assert.strictEqual((await local.acceptBlock(received(b2))).status, 'orphan');
+        assert.strictEqual((await local.acceptBlock(received(remote.chain[1]))).status, 'reorganized');
+        assert.deepStrictEqual(reorgs[0].removed, [abandoned.hash]);
+        // The star of carol is sealed again on top of the new chain, the shared one only once
+        assert.strictEqual(reorgs[0].requeued, 1);
+        await waitFor(() => local.height === 3);
+        assert.deepStrictEqual(hashes(local).slice(0, 3), hashes(remote));
+        assert.strictEqual((await local.getStarsByWalletAddress(carol.address)).length, 1);
+        assert.strictEqual((await local.getStarsByWalletAddress(alice.address)).length, 1);
+        assert.strictEqual((await local.getValidationReport()).valid, true);
+    });
+
+    it('refuses a star submitted again while its abandoned transaction waits in the mempool', async () => {
+        let local = await chain(null, { batch: { size: 2, interval: 60 } });
+        let remote = await chain(local);
+        let transaction = star(carol, 20);
+        await local._sealBatch([transaction]);
+        await remote._sealBatch([star(bob, 21)]);
+        let b2 = await remote._sealBatch([star(bob, 22)]);
+
+        assert.strictEqual((await local.acceptBlock(received(remote.chain[1]))).status, 'fork');
+        assert.strictEqual((await local.acceptBlock(received(b2))).status, 'reorganized');
+        assert.deepStrictEqual(local.mempool.batch.map(entry => entry.transaction.id), [transaction.id]);
+
+        let challenge = await local.requestMessageOwnershipVerification(carol.address);
+        await assert.rejects(local.submitStar(carol.address, challenge.message, carol.sign(challenge.message), transaction.star), { code: 'DUPLICATE_STAR', blockHash: null });
+        assert.strictEqual(local.mempool.batch.length, 1);
+    });
+
+    it('prunes the branches left behind the finality depth', async () => {
+        let local = await chain(null, { finalityDepth: 2 });
+        let remote = await chain(local);
+        await local._sealBatch([star(alice, 15)]);
+        let side = await remote._sealBatch([star(bob, 16)]);
+        assert.strictEqual((await local.acceptBlock(received(side))).status, 'fork');
+        assert.strictEqual(local.tree.tips().length, 2);
+
+        await local._sealBatch([star(alice, 17)]);
+        await local._sealBatch([star(alice, 18)]);
+        assert.strictEqual((await local.getForks()).branches.length, 1);
+
+        await local._sealBatch([star(alice, 19)]);
+        assert.deepStrictEqual((await local.getForks()).branches, []);
+        assert.deepStrictEqual(local.tree.tips().map(block => block.hash), [local.chain[4].hash]);
+        assert.strictEqual(local.tree.has(side.hash), false);
+
+        // The chain is final below the depth, a block forking there is refused
+        await assert.rejects(local.acceptBlock(received(side)), { code: 'BLOCK_REJECTED' });
+    });
+});
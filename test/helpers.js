@@ -0,0 +1,171 @@
+/**
+ *                          Test helpers
+ *  Wallets with locally generated keys, nodes listening on an ephemeral port of the loopback
+ *  interface, chain stores seeded with a given Genesis Block and polling until a condition holds.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ECPairFactory } = require('ecpair');
+const ecc = require('tiny-secp256k1');
+const { createServer } = require('../app.js');
+const { Logger } = require('../src/logger.js');
+const { loadConfig } = require('../src/config.js');
+const { Block } = require('../src/block.js');
+const { FileStore } = require('../src/storage.js');
+const { AccessControl, ROLE } = require('../src/auth.js');
+const { blockVersion } = require('../src/hashing.js');
+const { requestJSON } = require('../src/http.js');
+const { getNetwork, signMessage, addressOf } = require('../src/signature.js');
+const { starTransaction } = require('../src/star.js');
+
+const ECPair = ECPairFactory(ecc);
+
+// Logger of the chains the tests build without a node
+const silentLogger = new Logger({ level: 'silent' });
+
+/**
+ * Return a wallet with a random key: `{ type, network, address, sign(message) }`.
+ * `options.compressed` false gives the P2PKH address of the uncompressed public key.
+ * @param {*} type see `ADDRESS_TYPE`
+ * @param {*} networkName `bitcoin` (default), `testnet` or `regtest`
+ * @param {*} options
+ */
+function createWallet(type, networkName, options) {
+    let network = getNetwork(networkName);
+    let compressed = !(options && options.compressed === false);
+    let keyPair = ECPair.makeRandom({ network: network, compressed: compressed });
+    let privateKey = Buffer.from(keyPair.privateKey);
+    return {
+        type: type,
+        network: network,
+        address: addressOf(Buffer.from(keyPair.publicKey), type, network),
+        sign: message => signMessage(message, privateKey, type, network, compressed)
+    };
+}
+
+/**
+ * Return a star transaction of the wallet signed like a submission would be.
+ * @param {*} wallet
+ * @param {*} star
+ */
+function signedStar(wallet, star) {
+    let message = `${wallet.address}:${Math.floor(Date.now() / 1000)}:starRegistry`;
+    return starTransaction(wallet.address, star, message, wallet.sign(message));
+}
+
+/**
+ * Return a Genesis Block created at `time` (seconds), two nodes with the same one share their chain.
+ * @param {*} time
+ */
+function genesisBlock(time) {
+    let block = new Block({ data: 'Genesis Block' });
+    block.time = String(time);
+    block.version = blockVersion();
+    block.hash = block.computeHash();
+    return block;
+}
+
+/**
+ * Create a temporary directory, removed by `removeDirectory()`.
+ */
+function createDirectory() {
+    return fs.mkdtempSync(path.join(os.tmpdir(), 'starchain-test-'));
+}
+
+function removeDirectory(directory) {
+    fs.rmSync(directory, { recursive: true, force: true });
+}
+
+/**
+ * Write the blocks in a new chain store at `filePath`, a node started on it loads them.
+ * @param {*} filePath
+ * @param {*} blocks
+ */
+async function seedStore(filePath, blocks) {
+    let store = new FileStore(filePath);
+    await store.open();
+    await store.replace(blocks);
+    await store.close();
+}
+
+/**
+ * Create a key with the `peer` role in the keys file shared by the nodes, returns the key.
+ * @param {*} keysPath
+ */
+function createPeerKey(keysPath) {
+    return new AccessControl(keysPath).createKey('peers', ROLE.PEER).key;
+}
+
+/**
+ * Build and start a node on an ephemeral port with the chain in memory (unless `dataPath` is set)
+ * and the logs off, `overrides` are settings of `loadConfig()`. Resolves with the started node,
+ * its URL is `node.url`.
+ * @param {*} overrides
+ */
+async function startNode(overrides) {
+    let config = loadConfig({
+        env: {},
+        overrides: Object.assign({ port: 0, host: '127.0.0.1', dataPath: null, keysPath: null, logLevel: 'silent' }, overrides)
+    });
+    let node = createServer(config);
+    await node.blockchain.ready;
+    let server = await node.start();
+    node.url = `http://127.0.0.1:${server.address().port}`;
+    // The port is only known once listening, the peers register the node back at this URL
+    node.network.selfUrl = node.url;
+    return node;
+}
+
+/**
+ * Register a star on the node through the REST Api, resolves with the block of the star.
+ * @param {*} url
+ * @param {*} wallet
+ * @param {*} star
+ */
+async function registerStar(url, wallet, star) {
+    let challenge = await requestJSON('POST', `${url}/requestValidation`, { address: wallet.address });
+    return requestJSON('POST', `${url}/submitstar`, {
+        address: wallet.address,
+        message: challenge.message,
+        signature: wallet.sign(challenge.message),
+        star: star
+    });
+}
+
+/**
+ * Resolve once `condition()` returns true, reject after `timeout` milliseconds (5 seconds by default).
+ * @param {*} condition
+ * @param {*} timeout
+ */
+async function waitFor(condition, timeout) {
+    let deadline = Date.now() + (timeout || 5000);
+    while (!(await condition())) {
+        if (Date.now() > deadline) {
+            throw new Error('Timed out waiting for the condition');
+        }
+        await new Promise(resolve => setTimeout(resolve, 20));
+    }
+}
+
+/**
+ * Return the hashes of the chain of a node, Genesis Block first.
+ * @param {*} node
+ */
+function chainHashes(node) {
+    return node.blockchain.chain.map(block => block.hash);
+}
+
+module.exports.silentLogger = silentLogger;
+module.exports.createWallet = createWallet;
+module.exports.signedStar = signedStar;
+module.exports.genesisBlock = genesisBlock;
+module.exports.createDirectory = createDirectory;
+module.exports.removeDirectory = removeDirectory;
+module.exports.seedStore = seedStore;
+module.exports.createPeerKey = createPeerKey;
+module.exports.startNode = startNode;
+module.exports.registerStar = registerStar;
+module.exports.waitFor = waitFor;
+module.exports.chainHashes = chainHashes;
@@ -0,0 +1,42 @@
+/**
+ *                          Merkle tree tests
+ *  Every leaf of trees of various sizes is proven against the root, and the mutations of the list
+ *  of leaves that keep the root of a naive tree (a node passed as a leaf, the last leaf repeated)
+ *  give another root.
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const { merkleRoot, merkleProof, verifyProof } = require('../src/merkle.js');
+
+function leaves(count) {
+    return Array.from({ length: count }, (value, index) => crypto.createHash('sha256').update(`leaf ${index}`).digest('hex'));
+}
+
+describe('Merkle tree', () => {
+    it('proves every leaf of the tree', () => {
+        for (let count = 1; count <= 9; count++) {
+            let list = leaves(count);
+            let root = merkleRoot(list);
+            list.forEach((leaf, index) => assert.strictEqual(verifyProof(leaf, merkleProof(list, index), root), true));
+            assert.strictEqual(verifyProof(leaves(10)[9], merkleProof(list, 0), root), false);
+        }
+        assert.strictEqual(merkleRoot([]), null);
+    });
+
+    it('gives another root when the last leaf is repeated', () => {
+        let list = leaves(3);
+        assert.notStrictEqual(merkleRoot([...list, list[2]]), merkleRoot(list));
+        assert.notStrictEqual(merkleRoot([list[0], list[0]]), merkleRoot([list[0]]));
+    });
+
+    it('does not take a node for a leaf', () => {
+        let list = leaves(4);
+        let proof = merkleProof(list, 0);
+        // The node of the first two leaves, proven with the last step of the proof of the first leaf
+        let node = merkleRoot(list.slice(0, 2));
+        assert.strictEqual(verifyProof(node, proof.slice(1), merkleRoot(list)), false);
+        assert.notStrictEqual(merkleRoot([merkleRoot(list.slice(0, 2)), merkleRoot(list.slice(2))]), merkleRoot(list));
+    });
+});
@@ -0,0 +1,137 @@
+/**
+ *                          Peer network tests
+ *  Several nodes run in the process, each listening on an ephemeral port, and exchange their
+ *  blocks over HTTP with a shared `peer` key: the chains converge, a node joining late catches up
+ *  and the tampered blocks and chains of a peer are refused.
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { requestJSON } = require('../src/http.js');
+const { ADDRESS_TYPE } = require('../src/signature.js');
+const { createWallet, genesisBlock, createDirectory, removeDirectory, seedStore, createPeerKey, startNode, registerStar, waitFor, chainHashes } = require('./helpers.js');
+
+const STARS = [
+    { ra: '16h 29m 1.0s', dec: "68° 52' 56.9", story: 'First star' },
+    { ra: '1h 2m 3.0s', dec: "-12° 30' 0.0", story: 'Second star' },
+    { ra: '22h 0m 0.0s', dec: "5° 0' 0.0", story: 'Third star' }
+];
+
+describe('Peer network', () => {
+    let directory;
+    let peerKey;
+    let nodes = [];
+    let wallet = createWallet(ADDRESS_TYPE.P2WPKH);
+
+    // Start a node sharing the peer key, on a store holding only `genesis` when it's given
+    async function node(name, genesis) {
+        let dataPath = null;
+        if (genesis) {
+            dataPath = path.join(directory, `${name}.log`);
+            await seedStore(dataPath, [genesis]);
+        }
+        let started = await startNode({ dataPath: dataPath, keysPath: path.join(directory, 'keys.json'), peerApiKey: peerKey });
+        nodes.push(started);
+        return started;
+    }
+
+    before(() => {
+        directory = createDirectory();
+        peerKey = createPeerKey(path.join(directory, 'keys.json'));
+    });
+
+    after(async () => {
+        for (const started of nodes) {
+            await started.stop();
+        }
+        removeDirectory(directory);
+    });
+
+    it('propagates the blocks of every node to the others', async () => {
+        let a = await node('a');
+        let b = await node('b', a.blockchain.chain[0]);
+        let c = await node('c', a.blockchain.chain[0]);
+        // c only knows b, the blocks of a reach it through b
+        await b.network.addPeer(a.url);
+        await c.network.addPeer(b.url);
+        assert.deepStrictEqual(a.network.getPeers(), [b.url]);
+
+        let block = await registerStar(a.url, wallet, STARS[0]);
+        await waitFor(() => c.blockchain.height === 1);
+        assert.strictEqual(c.blockchain.chain[1].hash, block.hash);
+
+        await registerStar(c.url, wallet, STARS[1]);
+        await waitFor(() => a.blockchain.height === 2);
+        assert.deepStrictEqual(chainHashes(a), chainHashes(c));
+        assert.deepStrictEqual(chainHashes(b), chainHashes(c));
+        for (const started of [a, b, c]) {
+            assert.strictEqual((await started.blockchain.getValidationReport()).valid, true);
+        }
+    });
+
+    it('catches up with the chain of a peer when it joins', async () => {
+        let a = nodes[0];
+        let late = await node('late', a.blockchain.chain[0]);
+        await late.network.addPeer(a.url);
+        assert.deepStrictEqual(chainHashes(late), chainHashes(a));
+        assert.strictEqual((await late.blockchain.getStarsByWalletAddress(wallet.address)).length, 2);
+    });
+
+    it('adopts the longer chain of a peer with another Genesis Block', async () => {
+        let a = nodes[0];
+        let other = await node('other', genesisBlock(1));
+        await other.network.addPeer(a.url);
+        assert.deepStrictEqual(chainHashes(other), chainHashes(a));
+    });
+
+    it('requires the peer key to push blocks and refuses a tampered block', async () => {
+        let [a, b] = nodes;
+        let block = JSON.parse(JSON.stringify(a.blockchain.chain[2]));
+        await assert.rejects(requestJSON('POST', `${b.url}/peers/blocks`, { block: block }), { status: 401 });
+
+        let tampered = Object.assign({}, block, { hash: 'f'.repeat(64), body: Buffer.from(JSON.stringify({ data: 'tampered' })).toString('hex') });
+        let answer = await requestJSON('POST', `${b.url}/peers/blocks`, { block: tampered }, undefined, { 'X-API-Key': peerKey });
+        assert.deepStrictEqual(answer, { status: 'rejected' });
+        assert.strictEqual(b.blockchain.height, 2);
+        assert.strictEqual(b.blockchain.tree.has(tampered.hash), false);
+    });
+
+    it('logs the refused block of a peer with the id of the request on the node logger', async () => {
+        let [a, b] = nodes;
+        let lines = [];
+        b.logger.level = 'warn';
+        b.logger.write = line => lines.push(JSON.parse(line));
+        try {
+            let block = JSON.parse(JSON.stringify(a.blockchain.chain[2]));
+            let tampered = Object.assign({}, block, { hash: 'e'.repeat(64), body: Buffer.from(JSON.stringify({ data: 'tampered' })).toString('hex') });
+            await requestJSON('POST', `${b.url}/peers/blocks`, { block: tampered }, undefined, { 'X-API-Key': peerKey, 'X-Request-Id': 'push-1' });
+        } finally {
+            b.logger.level = 'silent';
+        }
+        let refused = lines.find(line => line.msg === 'Refused the block of the peer');
+        assert.ok(refused);
+        assert.strictEqual(refused.requestId, 'push-1');
+    });
+
+    it('refuses the tampered chain of a peer', async () => {
+        let forger = await node('forger', genesisBlock(2));
+        await registerStar(forger.url, wallet, STARS[0]);
+        await registerStar(forger.url, wallet, STARS[1]);
+        await registerStar(forger.url, wallet, STARS[2]);
+        // The content of the first star block is replaced in the chain the forger serves, its hash is kept
+        forger.blockchain.chain[1].body = Buffer.from(JSON.stringify({ data: 'tampered' })).toString('hex');
+
+        // Same Genesis Block: the blocks are checked one by one, the chain stops before the tampered one
+        let sameGenesis = await node('same-genesis', genesisBlock(2));
+        await sameGenesis.network.addPeer(forger.url);
+        assert.strictEqual(sameGenesis.blockchain.height, 0);
+
+        // Another Genesis Block: the whole chain is validated before being adopted
+        let victim = await node('victim', genesisBlock(3));
+        let before = chainHashes(victim);
+        await victim.network.addPeer(forger.url);
+        assert.deepStrictEqual(chainHashes(victim), before);
+        assert.strictEqual((await victim.blockchain.getValidationReport()).valid, true);
+    });
+});
@@ -0,0 +1,65 @@
+/**
+ *                          Signature tests
+ *  Messages signed with locally generated keys for every address type on every network are
+ *  verified back, a tampered message, another key or an address of another network are refused.
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { ADDRESS_TYPE, SIGNATURE_ERROR, getNetwork, detectAddressType, verifySignature } = require('../src/signature.js');
+const { createWallet } = require('./helpers.js');
+
+const NETWORKS = ['bitcoin', 'testnet', 'regtest'];
+
+const MESSAGE = 'bc1qexample:1700000000:starRegistry';
+
+describe('Signatures', () => {
+    for (const networkName of NETWORKS) {
+        for (const type of Object.values(ADDRESS_TYPE)) {
+            describe(`${type} on ${networkName}`, () => {
+                let wallet = createWallet(type, networkName);
+                let network = getNetwork(networkName);
+
+                it('verifies a message signed with the key of the address', () => {
+                    assert.strictEqual(detectAddressType(wallet.address, network), type);
+                    assert.strictEqual(verifySignature(MESSAGE, wallet.address, wallet.sign(MESSAGE), network), type);
+                });
+
+                it('refuses the signature of another message', () => {
+                    let signature = wallet.sign(MESSAGE);
+                    assert.throws(() => verifySignature(`${MESSAGE}!`, wallet.address, signature, network), { code: SIGNATURE_ERROR.SIGNATURE_MISMATCH, addressType: type });
+                });
+
+                it('refuses the signature of another key', () => {
+                    let other = createWallet(type, networkName);
+                    assert.throws(() => verifySignature(MESSAGE, wallet.address, other.sign(MESSAGE), network), { code: SIGNATURE_ERROR.SIGNATURE_MISMATCH });
+                });
+            });
+        }
+    }
+
+    it('verifies the P2PKH address of an uncompressed key', () => {
+        let wallet = createWallet(ADDRESS_TYPE.P2PKH, 'bitcoin', { compressed: false });
+        assert.strictEqual(verifySignature(MESSAGE, wallet.address, wallet.sign(MESSAGE)), ADDRESS_TYPE.P2PKH);
+    });
+
+    it('refuses the addresses of another network', () => {
+        for (const type of Object.values(ADDRESS_TYPE)) {
+            let wallet = createWallet(type, 'testnet');
+            let signature = wallet.sign(MESSAGE);
+            assert.throws(() => verifySignature(MESSAGE, wallet.address, signature, getNetwork('bitcoin')), { code: SIGNATURE_ERROR.INVALID_ADDRESS });
+            let mainnet = createWallet(type, 'bitcoin');
+            assert.throws(() => verifySignature(MESSAGE, mainnet.address, mainnet.sign(MESSAGE), getNetwork('testnet')), { code: SIGNATURE_ERROR.INVALID_ADDRESS });
+        }
+        // testnet and regtest only differ by the prefix of their bech32 addresses
+        for (const type of [ADDRESS_TYPE.P2WPKH, ADDRESS_TYPE.P2TR]) {
+            let wallet = createWallet(type, 'regtest');
+            assert.throws(() => verifySignature(MESSAGE, wallet.address, wallet.sign(MESSAGE), getNetwork('testnet')), { code: SIGNATURE_ERROR.INVALID_ADDRESS });
+        }
+    });
+
+    it('refuses a signature that is not base64', () => {
+        let wallet = createWallet(ADDRESS_TYPE.P2WPKH, 'bitcoin');
+        assert.throws(() => verifySignature(MESSAGE, wallet.address, 'not a signature!'), { code: SIGNATURE_ERROR.MALFORMED_SIGNATURE });
+    });
+});